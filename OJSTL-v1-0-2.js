@@ -3,7 +3,7 @@
  * 
  * copyright 2025 Obdotgit; CC0 1.0 Universal (CC0 1.0) Public Domain Dedication
  * 
- * OJSTL is a collection of lightweight, dependency-free JavaScript utilities. As of now, it includes a modal generator, delta timing and wait functionality.
+ * OJSTL is a collection of lightweight, dependency-free JavaScript utilities. As of now, it includes a modal generator, toast notifications, delta timing, tweening, wait and scheduling functionality.
  * 
  * Modal Dialog Component
  * 
@@ -16,6 +16,18 @@
  * - Promise-based API for handling modal results
  * - Responsive design
  * 
+ * Loading:
+ * // <script> tag (compatibility build): defines the modal, toast, delta, wait, schedule, tween and ir globals
+ * <script src="OJSTL-v1-0-2.js"></script>
+ *
+ * // CommonJS or ES modules: named exports, no globals
+ * const { modal, wait } = require('ojstl');
+ * import { modal, wait } from 'ojstl';
+ *
+ * Nothing touches window or document until a DOM feature is used, so wait, delta.toString
+ * and ir also work on the server.
+ * The <script> build registers <ojstl-modal> on load; with imports, call modal.defineElement().
+ * 
  * Usage:
  * // Show a modal
  * const myModal = modal.show('<p>Hello, World!</p>', {
@@ -35,15 +47,36 @@
  * 
  * Author: Oliver "Obdotgit" W. (https://github.com/obdotgit/)
 **/
-(function () {
+(function (root, factory) {
+    'use strict';
+
+    const ojstl = factory();
+
+    if (typeof module === 'object' && module.exports) {
+        // CommonJS, also used by the ES module wrapper in OJSTL-v1-0-2.mjs
+        module.exports = ojstl;
+    } else {
+        // Compatibility build for <script> tags, where the declarative API works without any script
+        if (typeof document !== 'undefined') {
+            ojstl.modal.defineElement();
+        }
+        root.modal = ojstl.modal;
+        root.toast = ojstl.toast;
+        root.delta = ojstl.delta;
+        root.wait = ojstl.wait;
+        root.schedule = ojstl.schedule;
+        root.tween = ojstl.tween;
+        root.ir = ojstl.ir;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
     'use strict';
 
     const DEFAULTS = {
-        title: 'Modal Title',
-        closeButtonText: 'Close',
+        title: null, // null uses the locale's title
+        closeButtonText: null, // null uses the locale's close text
         onClose: null,
         onOpen: null,
-        animation: true,
+        animation: true, // true (CSS transitions) | 'fade' | 'zoom' | 'slide-up' | 'slide-down' | 'none' | keyframes
         animationDuration: 240,
         width: '480px',
         maxWidth: 'calc(100vw - 32px)',
@@ -55,14 +88,236 @@
         showCloseButton: true,
         zIndex: 1000,
         autoFocusSelector: null,
+        initialFocus: null, // element or (instance) => element to focus on open; takes precedence over autoFocusSelector
+        returnFocus: null, // element or (instance) => element to focus after closing; null returns to the element focused before
         resolveOnClose: false,
         trapFocus: true,
         restoreScroll: true,
-        theme: 'light' // 'light' | 'dark'
+        buttons: null, // [{ text, value, variant, autofocus, disabled, onClick }]
+        placement: 'center', // 'center' | 'left' | 'right' | 'top' | 'bottom' | 'start' | 'end'
+        swipeToDismiss: true,
+        beforeClose: null, // (reason, instance) => boolean | Promise<boolean>; false keeps the modal open
+        on: null, // { [event type]: listener }, attached before any lifecycle event fires
+        backend: 'auto', // 'auto' | 'dialog' | 'div'
+        isolate: false, // render inside a shadow root
+        theme: null, // registered theme name or 'auto'; null uses the default theme
+        locale: null, // registered locale name or an object of strings; null uses the default locale
+        dir: null, // 'ltr' | 'rtl'; null uses the locale's direction, then the page's
+        contentMode: null, // 'html' | 'text' | 'sanitize'; null uses the global contentMode
+        history: false, // push a history entry on open so Back closes the modal
+        modal: true, // false opens a non-blocking window, as modal.window() does
+        draggable: true, // windows only: drag by the header
+        resizable: true, // windows only: resize from the edges
+        minimizable: true, // windows only
+        maximizable: true, // windows only
+        persistKey: null // windows only: localStorage key to save position, size and state under
+    };
+
+    // 'start' and 'end' resolve to 'left' or 'right' from the text direction
+    const PLACEMENTS = ['center', 'left', 'right', 'top', 'bottom', 'start', 'end'];
+
+    const BACKENDS = ['auto', 'dialog', 'div'];
+
+    // Web Animations keyframes for the animation presets; closing plays them in reverse
+    const ANIMATION_PRESETS = {
+        fade: [{ opacity: 0 }, { opacity: 1 }],
+        zoom: [{ opacity: 0, transform: 'scale(0.85)' }, { opacity: 1, transform: 'scale(1)' }],
+        'slide-up': [{ opacity: 0, transform: 'translateY(32px)' }, { opacity: 1, transform: 'translateY(0)' }],
+        'slide-down': [{ opacity: 0, transform: 'translateY(-32px)' }, { opacity: 1, transform: 'translateY(0)' }]
+    };
+    // Options that take functions, objects or elements, so have no <ojstl-modal> attribute
+    const NON_ATTRIBUTE_OPTIONS = ['onClose', 'onOpen', 'buttons', 'beforeClose', 'on', 'initialFocus', 'returnFocus', 'resolveOnClose'];
+    // Instance events re-dispatched from <ojstl-modal>
+    const ELEMENT_EVENTS = ['beforeopen', 'open', 'beforeclose', 'close', 'closed', 'load', 'loaderror'];
+
+    // Smallest size windows can be resized to, in CSS pixels
+    const WINDOW_MIN_SIZE = { width: 200, height: 120 };
+    // Edges and corners windows resize from
+    const WINDOW_EDGES = ['n', 'e', 's', 'w', 'ne', 'se', 'sw', 'nw'];
+
+    // Time allowed past an animation's expected end before closing goes ahead without its end event
+    const ANIMATION_SLACK = 100;
+
+    // Registered themes, each a complete set of --modal-* custom properties
+    const themes = {
+        light: {
+            '--modal-overlay-bg': 'rgba(0, 0, 0, 0.6)',
+            '--modal-bg': '#ffffff',
+            '--modal-text': '#1a1a1a',
+            '--modal-muted': '#6b7280',
+            '--modal-border': '#e5e7eb',
+            '--modal-shadow': '0 6px 24px rgba(0, 0, 0, 0.15)',
+            '--modal-button-bg': '#f3f4f6',
+            '--modal-button-hover': '#e5e7eb',
+            '--modal-button-text': '#374151',
+            '--modal-accent': '#3b82f6',
+            '--modal-accent-hover': '#2563eb',
+            '--modal-accent-text': '#ffffff',
+            '--modal-focus-ring': '#3b82f6',
+            '--modal-danger': '#dc2626',
+            '--modal-danger-hover': '#b91c1c',
+            '--modal-danger-text': '#ffffff',
+            '--modal-success': '#16a34a',
+            '--modal-warning': '#d97706'
+        },
+        dark: {
+            '--modal-overlay-bg': 'rgba(0, 0, 0, 0.7)',
+            '--modal-bg': '#1f2937',
+            '--modal-text': '#f9fafb',
+            '--modal-muted': '#9ca3af',
+            '--modal-border': '#374151',
+            '--modal-shadow': '0 6px 24px rgba(0, 0, 0, 0.5)',
+            '--modal-button-bg': '#374151',
+            '--modal-button-hover': '#4b5563',
+            '--modal-button-text': '#f9fafb',
+            '--modal-accent': '#3b82f6',
+            '--modal-accent-hover': '#2563eb',
+            '--modal-accent-text': '#ffffff',
+            '--modal-focus-ring': '#60a5fa',
+            '--modal-danger': '#ef4444',
+            '--modal-danger-hover': '#dc2626',
+            '--modal-danger-text': '#ffffff',
+            '--modal-success': '#22c55e',
+            '--modal-warning': '#f59e0b'
+        }
+    };
+    let defaultTheme = 'light';
+
+    // Registered locales covering every built-in string; dir is left out where the page decides
+    const locales = {
+        en: {
+            title: 'Modal Title',
+            close: 'Close',
+            closeLabel: 'Close modal',
+            ok: 'OK',
+            cancel: 'Cancel',
+            submit: 'Submit',
+            confirmTitle: 'Confirm',
+            alertTitle: 'Alert',
+            formTitle: 'Form',
+            required: 'This field is required.',
+            invalid: 'Invalid value.',
+            notifications: 'Notifications',
+            dismissNotification: 'Dismiss notification',
+            loading: 'Loading…',
+            loadError: 'The content could not be loaded.',
+            retry: 'Retry',
+            progressTitle: 'Please wait',
+            minimize: 'Minimize',
+            maximize: 'Maximize',
+            restore: 'Restore'
+        }
+    };
+    let defaultLocale = 'en';
+
+    // Languages written right to left, for registered locales that don't give a dir
+    const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+    // Elements using theme 'auto', re-themed when the OS colour scheme changes
+    const autoThemed = new Set();
+    let colorSchemeQuery = null;
+
+    // Matches the responsive breakpoint in injectCSS
+    const SMALL_SCREEN_QUERY = '(max-width: 640px)';
+    const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+    const TOAST_DEFAULTS = {
+        position: 'bottom-right', // 'top-left' | 'top-center' | 'top-right' | 'bottom-left' | 'bottom-center' | 'bottom-right'
+        type: 'info', // 'info' | 'success' | 'warning' | 'error'
+        duration: 4000, // 0 keeps the toast open until dismissed
+        maxToasts: 5,
+        dismissible: true,
+        actions: null, // [{ text, value, onClick }]
+        onClose: null,
+        animation: true,
+        animationDuration: 200,
+        className: '',
+        zIndex: 1100,
+        theme: null, // registered theme name or 'auto'; null uses the default theme
+        locale: null, // registered locale name or an object of strings; null uses the default locale
+        dir: null, // 'ltr' | 'rtl'; null uses the locale's direction, then the page's
+        contentMode: null // 'html' | 'text' | 'sanitize'; null uses the global contentMode
+    };
+
+    const TOAST_POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+
+    const CONTENT_MODES = ['html', 'text', 'sanitize'];
+
+    // Global settings, changed through modal.configure()
+    const config = {
+        container: null, // Element or selector to mount into; null uses document.body
+        nonce: null, // CSP nonce for injected <style> elements
+        constructableStyles: false, // Adopt a constructable stylesheet instead of injecting a <style> element
+        contentMode: 'html', // How string content is inserted: 'html' | 'text' | 'sanitize'
+        allowedTags: [
+            'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+            'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd',
+            'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+            'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+        ],
+        allowedAttributes: [
+            'alt', 'aria-describedby', 'aria-hidden', 'aria-label', 'aria-labelledby', 'class', 'colspan',
+            'dir', 'height', 'href', 'lang', 'rel', 'role', 'rowspan', 'src', 'target', 'title', 'width', 'data-*'
+        ],
+        trustedTypesPolicy: null // Trusted Types policy for 'html' content; null assigns strings as they are
     };
 
-    const modals = new Set();
-    let scrollPosition = 0;
+    // Removed with their content by the sanitizer even when they aren't allowed; other elements are unwrapped
+    const DROPPED_TAGS = [
+        'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+        'noembed', 'noframes', 'textarea', 'title', 'xmp', 'plaintext', 'svg', 'math', 'select', 'option'
+    ];
+
+    // Attributes holding URLs, and the schemes allowed in them
+    const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'xlink:href', 'action', 'formaction', 'cite', 'poster', 'background'];
+    const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+    // Constructable stylesheet shared by the document and shadow roots, created on first use
+    let sharedSheet = null;
+
+    // Open modals in stack order, topmost last
+    const stack = [];
+    // Open non-modal windows, frontmost last
+    const windows = [];
+    // Elements made inert behind the topmost modal, mapped to their previous inert and aria-hidden values
+    const inertElements = new Map();
+    // Left interactive behind modals: non-rendered elements, and the live region and toasts so they still announce
+    const INERT_EXEMPT = 'script, style, link, template, .cg-live-region, .cg-toast-container';
+    // Shared body scroll lock, reference-counted across open modals
+    let scrollLock = null;
+
+    // History entries of modals, oldest first, identified by their key in history.state and holding
+    // their position in the session history; closed modals' entries stay listed until navigation goes back over them
+    const historyEntries = [];
+    let historyKey = 0;
+    // Back navigations started by closing modals, whose popstate events are skipped
+    let pendingBacks = 0;
+    // history.length when last seen, to tell a new entry (such as a fragment link) from a Back or Forward
+    let knownHistoryLength = 0;
+    // Position of the current entry in the session history when last worked out
+    let lastHistoryPosition = null;
+    let historyCleanupQueued = false;
+    let listeningForNavigation = false;
+    let listeningForTriggers = false;
+    // Open <ojstl-modal> elements, mapped to { instance, children } while their modal is open
+    const elementState = new WeakMap();
+
+    // Routes registered with modal.route(); routeOpening is set while a route's factory runs
+    const routes = [];
+    let routeOpening = false;
+
+    // Visually hidden live region for announcements, mounted with the toasts on first use
+    let liveRegionEl = null;
+    // Toast containers by position; with the live region they move into the topmost native <dialog> while one is open
+    const toastContainers = {};
+    // Frame stats overlays from delta.stats(), which move with the toasts
+    const statsOverlays = new Set();
+
+    // Open toasts in display order, oldest first
+    const toasts = [];
+    let toastDefaults = { ...TOAST_DEFAULTS };
+    // Toast defaults kept as given by toast.configure(), so null still follows the global setting at build time
+    const TOAST_DEFERRED_OPTIONS = ['theme', 'contentMode', 'dir'];
 
     /**
      * Normalize and validate options
@@ -72,7 +327,7 @@
     function normalizeOptions(options = {}) {
         if (typeof options !== 'object' || options === null) {
             console.warn('Modal options must be an object, using defaults');
-            return { ...DEFAULTS };
+            return normalizeOptions({});
         }
 
         const opts = { ...DEFAULTS, ...options };
@@ -87,620 +342,5740 @@
             opts.animationDuration = DEFAULTS.animationDuration;
         }
 
+        if (opts.animation === 'none') {
+            opts.animation = false;
+        } else if (typeof opts.animation === 'string' && !ANIMATION_PRESETS.hasOwnProperty(opts.animation)) {
+            console.warn(`Unknown animation "${opts.animation}", using the default`);
+            opts.animation = DEFAULTS.animation;
+        } else if (typeof opts.animation !== 'string' && (typeof opts.animation !== 'object' || opts.animation === null)) {
+            opts.animation = Boolean(opts.animation);
+        }
+
         if (typeof opts.zIndex !== 'number') {
             opts.zIndex = DEFAULTS.zIndex;
         }
 
+        // Locale strings fill in any built-in text left out
+        opts.strings = resolveLocale(opts.locale);
+        if (opts.title === null || opts.title === undefined) {
+            opts.title = opts.strings.title;
+        }
+        if (opts.closeButtonText === null || opts.closeButtonText === undefined) {
+            opts.closeButtonText = opts.strings.close;
+        }
+        opts.dir = normalizeDirection(opts.dir, opts.strings);
+        opts.contentMode = normalizeContentMode(opts.contentMode);
+
+        if (!PLACEMENTS.includes(opts.placement)) {
+            opts.placement = DEFAULTS.placement;
+        }
+
+        // Logical placements mirror in right-to-left layouts
+        if (opts.placement === 'start' || opts.placement === 'end') {
+            const rtl = (opts.dir || pageDirection()) === 'rtl';
+            opts.placement = (opts.placement === 'start') !== rtl ? 'left' : 'right';
+        }
+
+        opts.theme = normalizeTheme(opts.theme);
+
+        if (!BACKENDS.includes(opts.backend)) {
+            opts.backend = DEFAULTS.backend;
+        }
+
+        // Windows float over the page: no native modal dialog, drawer placement or overlay to click
+        opts.modal = opts.modal !== false;
+        if (!opts.modal) {
+            opts.backend = 'div';
+            opts.placement = 'center';
+            opts.closeOnOverlayClick = false;
+        }
+
+        if (opts.buttons !== null && !Array.isArray(opts.buttons)) {
+            console.warn('Modal buttons must be an array, ignoring');
+            opts.buttons = null;
+        }
+
+        ['initialFocus', 'returnFocus'].forEach(key => {
+            const value = opts[key];
+            if (value !== null && typeof value !== 'function' && !(value && typeof value.focus === 'function')) {
+                console.warn(`Modal ${key} must be an element or a function, ignoring`);
+                opts[key] = null;
+            }
+        });
+
         return opts;
     }
 
     /**
-     * Inject modal styles into the document
+     * Resolve the locale option to a full set of strings
+     * @param {string|Object|null} locale - Registered locale name, strings overriding the default locale, or null
+     * @returns {Object} Locale strings
      */
-    function injectCSS() {
-        if (document.getElementById('cg-modal-styles')) return;
+    function resolveLocale(locale) {
+        if (locale === null || locale === undefined) return locales[defaultLocale];
+        if (typeof locale === 'object') return { ...locales[defaultLocale], ...locale };
+        if (locales.hasOwnProperty(locale)) return locales[locale];
 
-        const style = document.createElement('style');
-        style.id = 'cg-modal-styles';
-        style.textContent = `
-:root {
-    --modal-overlay-bg: rgba(0, 0, 0, 0.6);
-    --modal-bg: #ffffff;
-    --modal-text: #1a1a1a;
-    --modal-border: #e5e7eb;
-    --modal-shadow: 0 6px 24px rgba(0, 0, 0, 0.15);
-    --modal-button-bg: #f3f4f6;
-    --modal-button-hover: #e5e7eb;
-    --modal-button-text: #374151;
-}
+        console.warn(`Unknown locale "${locale}", using "${defaultLocale}"`);
+        return locales[defaultLocale];
+    }
 
-.cg-modal-overlay {
-    position: fixed;
-    inset: 0;
-    display: flex;
-    justify-content: center;
-    align-items: center;
-    background-color: var(--modal-overlay-bg);
-    opacity: 0;
-    transition: opacity 240ms ease;
-    z-index: var(--modal-z-index, 1000);
-}
+    /**
+     * Check a dir option, falling back to the locale's direction
+     * @param {string|null} dir - 'ltr', 'rtl' or null
+     * @param {Object} strings - Resolved locale strings
+     * @returns {string|null} 'ltr', 'rtl', or null to inherit the page's direction
+     */
+    function normalizeDirection(dir, strings) {
+        if (dir === 'ltr' || dir === 'rtl') return dir;
+        if (dir !== null && dir !== undefined) {
+            console.warn(`Unknown dir "${dir}", using the locale's direction`);
+        }
+        return strings.dir === 'ltr' || strings.dir === 'rtl' ? strings.dir : null;
+    }
 
-.cg-modal-overlay.cg-modal-overlay-open {
-    opacity: 1;
-}
+    /**
+     * Get the text direction modals inherit from the page
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    function pageDirection() {
+        if (typeof document === 'undefined') return 'ltr';
+        const container = getContainer();
+        const source = container && typeof container.closest === 'function' ? container.closest('[dir]') : null;
+        return source && source.getAttribute('dir').toLowerCase() === 'rtl' ? 'rtl' : 'ltr';
+    }
 
-.cg-modal {
-    background-color: var(--modal-bg);
-    color: var(--modal-text);
-    padding: 24px;
-    border-radius: 12px;
-    box-shadow: var(--modal-shadow);
-    max-width: var(--modal-max-width);
-    max-height: var(--modal-max-height);
-    outline: none;
-    display: flex;
-    flex-direction: column;
-    opacity: 0;
-    transform: translateY(-12px) scale(0.96);
-    transition: opacity var(--modal-duration, 240ms) ease,
-                transform var(--modal-duration, 240ms) cubic-bezier(0.16, 1, 0.3, 1);
-}
+    /**
+     * Check a theme name, falling back to the default theme
+     * @param {string|null} name - Registered theme name, 'auto' or null
+     * @returns {string} Usable theme name
+     */
+    function normalizeTheme(name) {
+        if (name === null || name === undefined) return defaultTheme;
+        if (name === 'auto' || themes.hasOwnProperty(name)) return name;
 
-.cg-modal.cg-modal-open {
-    opacity: 1;
-    transform: translateY(0) scale(1);
-}
+        console.warn(`Unknown theme "${name}", using "${defaultTheme}"`);
+        return defaultTheme;
+    }
 
-.cg-modal-header {
-    display: flex;
-    justify-content: space-between;
-    align-items: flex-start;
-    margin-bottom: 16px;
-}
+    /**
+     * Convert theme tokens to --modal-* custom property names
+     * @param {Object} tokens - Tokens such as { bg: '#fff', overlayBg: '...' } or { '--modal-bg': '#fff' }
+     * @returns {Object} Tokens keyed by custom property name
+     */
+    function normalizeThemeTokens(tokens) {
+        return Object.keys(tokens).reduce((result, key) => {
+            const property = key.startsWith('--')
+                ? key
+                : `--modal-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+            result[property] = String(tokens[key]);
+            return result;
+        }, {});
+    }
 
-.cg-modal-header h2 {
-    margin: 0;
-    font-size: 1.25rem;
-    font-weight: 600;
-    line-height: 1.5;
-}
+    /**
+     * Resolve 'auto' to the theme matching the OS colour scheme
+     * @param {string} name - Theme name
+     * @returns {string} Registered theme name
+     */
+    function resolveTheme(name) {
+        if (name !== 'auto') return name;
 
-.cg-modal-close-icon {
-    cursor: pointer;
-    padding: 4px;
-    border: none;
-    background: transparent;
-    color: #6b7280;
-    border-radius: 4px;
-    transition: background-color 150ms ease, color 150ms ease;
-    margin-left: 12px;
-    flex-shrink: 0;
-}
+        const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+        return prefersDark ? 'dark' : 'light';
+    }
 
-.cg-modal-close-icon:hover {
-    background-color: var(--modal-button-hover);
-    color: var(--modal-text);
-}
+    /**
+     * Start re-theming 'auto' elements when the OS colour scheme changes
+     */
+    function watchColorScheme() {
+        if (colorSchemeQuery || !window.matchMedia) return;
 
-.cg-modal-close-icon:focus-visible {
-    outline: 2px solid #3b82f6;
-    outline-offset: 2px;
-}
+        colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        const onChange = () => autoThemed.forEach(el => applyTheme(el, 'auto'));
+        if (typeof colorSchemeQuery.addEventListener === 'function') {
+            colorSchemeQuery.addEventListener('change', onChange);
+        } else if (typeof colorSchemeQuery.addListener === 'function') {
+            colorSchemeQuery.addListener(onChange);
+        }
+    }
 
-.cg-modal-body {
-    flex: 1;
-    overflow-y: auto;
-    margin: 16px 0;
-    line-height: 1.6;
-}
+    /**
+     * Apply a theme's custom properties to an element
+     * @param {HTMLElement} el - Element to theme
+     * @param {string} name - Registered theme name or 'auto'
+     */
+    function applyTheme(el, name) {
+        const resolved = resolveTheme(name);
+        const tokens = themes[resolved] || themes.light;
 
-.cg-modal-footer {
-    display: flex;
-    justify-content: flex-end;
-    gap: 8px;
-    margin-top: 16px;
-}
+        Object.keys(tokens).forEach(property => el.style.setProperty(property, tokens[property]));
+        el.setAttribute('data-theme', resolved);
 
-.cg-modal-close {
-    cursor: pointer;
-    padding: 8px 16px;
-    border: 1px solid var(--modal-border);
-    background: var(--modal-button-bg);
-    color: var(--modal-button-text);
-    border-radius: 6px;
-    font-size: 0.875rem;
-    font-weight: 500;
-    transition: background-color 150ms ease, border-color 150ms ease;
-}
+        if (name === 'auto') {
+            autoThemed.add(el);
+            watchColorScheme();
+        }
+    }
 
-.cg-modal-close:hover {
-    background: var(--modal-button-hover);
-}
+    /**
+     * Limit a number to a range, favouring min when the range is empty
+     * @param {number} value
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(value, max));
+    }
 
-.cg-modal-close:focus-visible {
-    outline: 2px solid #3b82f6;
-    outline-offset: 2px;
-}
+    /**
+     * Fail clearly when a DOM feature is used without a DOM, e.g. during server-side rendering
+     * @param {string} feature - Name of the feature being used
+     */
+    function assertDOM(feature) {
+        if (typeof document === 'undefined') {
+            throw new Error(`${feature} needs a DOM; it cannot run without window and document`);
+        }
+    }
 
-/* Dark theme */
-.cg-modal[data-theme="dark"] {
-    --modal-bg: #1f2937;
-    --modal-text: #f9fafb;
-    --modal-border: #374151;
-    --modal-shadow: 0 6px 24px rgba(0, 0, 0, 0.5);
-    --modal-button-bg: #374151;
-    --modal-button-hover: #4b5563;
-    --modal-button-text: #f9fafb;
-}
+    /**
+     * Resolve the 'auto' backend to 'dialog' where HTMLDialogElement.showModal() is available
+     * @param {string} backend - 'auto' | 'dialog' | 'div'
+     * @returns {string} 'dialog' or 'div'
+     */
+    function resolveBackend(backend) {
+        const supported = typeof HTMLDialogElement === 'function' &&
+            typeof HTMLDialogElement.prototype.showModal === 'function';
 
-/* Responsive */
-@media (max-width: 640px) {
-    .cg-modal {
-        padding: 20px;
-        border-radius: 8px;
-    }
-    
-    .cg-modal-header h2 {
-        font-size: 1.125rem;
+        if (backend === 'dialog' && !supported) {
+            console.warn('Native <dialog> is not supported, using the div backend');
+        }
+        return backend !== 'div' && supported ? 'dialog' : 'div';
     }
-}
-`;
-        document.head.appendChild(style);
+
+    /**
+     * Dispatch a lifecycle event on a modal instance
+     * @param {EventTarget} target - Modal instance
+     * @param {string} type - Event type
+     * @param {Object} detail - Event detail
+     * @param {boolean} cancelable - Whether listeners may call preventDefault()
+     * @returns {boolean} False if a listener cancelled the event
+     */
+    function dispatchLifecycle(target, type, detail = {}, cancelable = false) {
+        const event = new CustomEvent(type, { detail, cancelable });
+        target.dispatchEvent(event);
+        return !event.defaultPrevented;
     }
 
     /**
-     * Get all focusable elements within a container
-     * @param {HTMLElement} container 
-     * @returns {HTMLElement[]}
+     * Check whether the user asked the system to minimise motion
+     * @returns {boolean}
      */
-    function getFocusable(container) {
-        if (!container) return [];
+    function prefersReducedMotion() {
+        return Boolean(window.matchMedia) && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+    }
 
-        const selector = [
-            'a[href]:not([tabindex="-1"])',
-            'area[href]:not([tabindex="-1"])',
-            'input:not([disabled]):not([type="hidden"]):not([tabindex="-1"])',
-            'select:not([disabled]):not([tabindex="-1"])',
-            'textarea:not([disabled]):not([tabindex="-1"])',
-            'button:not([disabled]):not([tabindex="-1"])',
-            'iframe:not([tabindex="-1"])',
-            'object:not([tabindex="-1"])',
-            'embed:not([tabindex="-1"])',
-            '[contenteditable]:not([tabindex="-1"])',
-            '[tabindex]:not([tabindex="-1"])'
-        ].join(',');
+    /**
+     * Resolve an animation option to the motion that actually runs
+     * @param {boolean|string|Array|Object} animation - Normalized animation option
+     * @returns {boolean|Array|Object} False for none, true for the CSS transitions, or Web Animations keyframes
+     */
+    function resolveMotion(animation) {
+        if (!animation || prefersReducedMotion()) return false;
+        // The CSS transitions stand in for presets where the Web Animations API is missing
+        if (animation === true || typeof Element.prototype.animate !== 'function') return true;
+        return typeof animation === 'string' ? ANIMATION_PRESETS[animation] : animation;
+    }
 
-        return Array.from(container.querySelectorAll(selector)).filter(el => {
-            const style = window.getComputedStyle(el);
-            return style.display !== 'none' && 
-                   style.visibility !== 'hidden' &&
-                   (el.offsetWidth > 0 || el.offsetHeight > 0 || el === document.activeElement);
+    /**
+     * Get the longest transition on an element, delay included
+     * @param {HTMLElement} el
+     * @returns {number} Milliseconds, 0 if it has no transition
+     */
+    function transitionTime(el) {
+        const style = window.getComputedStyle(el);
+        const toMs = (list) => String(list || '0s').split(',').map(part => {
+            const value = parseFloat(part) || 0;
+            return /ms\s*$/.test(part) ? value : value * 1000;
         });
+        const delays = toMs(style.transitionDelay);
+        return Math.max(0, ...toMs(style.transitionDuration).map((duration, i) => duration + delays[i % delays.length]));
     }
 
     /**
-     * Build and display the modal
-     * @param {string|HTMLElement} content 
-     * @param {Object} opts 
-     * @returns {Object} Modal instance
+     * Wait until animations have really ended: every Web Animation finishing or being cancelled, or
+     * without any, a transitionend from each transitioning element. A timeout past the expected end
+     * covers events that never arrive.
+     * @param {HTMLElement[]} elements - Elements running CSS transitions
+     * @param {Animation[]} animations - Web Animations to wait for instead
+     * @returns {Promise<void>}
      */
-    function buildModal(content, opts) {
-        injectCSS();
+    function motionEnd(elements, animations = []) {
+        return new Promise(resolve => {
+            const listeners = [];
+            let pending = 0;
+            let expected = 0;
+            let timerId = null;
 
-        // Create elements
-        const overlayEl = document.createElement('div');
-        const dialogEl = document.createElement('div');
-        const headerEl = document.createElement('div');
-        const titleEl = document.createElement('h2');
-        const bodyEl = document.createElement('div');
-        const footerEl = document.createElement('div');
+            const done = () => {
+                clearTimeout(timerId);
+                listeners.forEach(([el, listener]) => {
+                    el.removeEventListener('transitionend', listener);
+                    el.removeEventListener('transitioncancel', listener);
+                });
+                resolve();
+            };
+            const settle = () => {
+                if (--pending === 0) {
+                    done();
+                }
+            };
 
-        // Generate unique IDs
-        const idSuffix = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-        const titleId = `modal-title-${idSuffix}`;
-        const bodyId = `modal-body-${idSuffix}`;
+            if (animations.length > 0) {
+                animations.forEach(animation => {
+                    const end = animation.effect ? animation.effect.getComputedTiming().endTime : 0;
+                    expected = Math.max(expected, Number.isFinite(end) ? end : 0);
+                    pending++;
+                    animation.finished.then(settle, settle);
+                });
+            } else {
+                elements.forEach(el => {
+                    const time = transitionTime(el);
+                    if (time === 0) return;
+                    expected = Math.max(expected, time);
+                    pending++;
 
-        // Setup overlay
-        overlayEl.className = 'cg-modal-overlay';
-        overlayEl.style.setProperty('--modal-z-index', opts.zIndex);
+                    // Each element counts once, on the first of its properties to end
+                    const listener = (e) => {
+                        if (e.target !== el) return;
+                        el.removeEventListener('transitionend', listener);
+                        el.removeEventListener('transitioncancel', listener);
+                        settle();
+                    };
+                    el.addEventListener('transitionend', listener);
+                    el.addEventListener('transitioncancel', listener);
+                    listeners.push([el, listener]);
+                });
+            }
 
-        // Setup dialog
-        dialogEl.className = `cg-modal ${opts.className}`.trim();
-        dialogEl.style.width = opts.width;
-        dialogEl.style.height = opts.height;
-        dialogEl.style.setProperty('--modal-max-width', opts.maxWidth);
-        dialogEl.style.setProperty('--modal-max-height', opts.maxHeight);
-        dialogEl.style.setProperty('--modal-duration', `${opts.animationDuration}ms`);
-        
-        if (opts.theme === 'dark') {
-            dialogEl.setAttribute('data-theme', 'dark');
-        }
+            if (pending === 0) {
+                done();
+                return;
+            }
+            timerId = setTimeout(done, expected + ANIMATION_SLACK);
+        });
+    }
+
+    /**
+     * Lock body scroll, saving the previous state on the first lock
+     * @param {boolean} restoreScroll - Restore the scroll position on the final unlock
+     */
+    function lockScroll(restoreScroll) {
+        if (!scrollLock) {
+            scrollLock = {
+                count: 0,
+                overflow: document.body.style.overflow,
+                position: window.pageYOffset || document.documentElement.scrollTop,
+                restoreScroll
+            };
+            document.body.style.overflow = 'hidden';
+        }
+        scrollLock.count++;
+    }
+
+    /**
+     * Release a body scroll lock, restoring the saved state on the last release
+     */
+    function unlockScroll() {
+        if (!scrollLock || --scrollLock.count > 0) return;
+
+        document.body.style.overflow = scrollLock.overflow;
+        if (scrollLock.restoreScroll && scrollLock.position > 0) {
+            window.scrollTo(0, scrollLock.position);
+        }
+        scrollLock = null;
+    }
+
+    /**
+     * Get the topmost stack entry
+     * @returns {Object|null}
+     */
+    function getTopEntry() {
+        return stack.length > 0 ? stack[stack.length - 1] : null;
+    }
+
+    /**
+     * Route document keydown events to the topmost modal only
+     */
+    function handleDocumentKeydown(e) {
+        const top = getTopEntry();
+        if (top) {
+            top.handleKeydown(e);
+        }
+    }
+
+    /**
+     * Push an entry onto the modal stack
+     * @param {Object} entry
+     */
+    function pushEntry(entry) {
+        if (stack.length === 0) {
+            document.addEventListener('keydown', handleDocumentKeydown);
+        }
+        stack.push(entry);
+        updateInert();
+        moveLayers();
+    }
+
+    /**
+     * Remove an entry from the modal stack
+     * @param {Object} entry
+     */
+    function removeEntry(entry) {
+        const index = stack.indexOf(entry);
+        if (index === -1) return;
+
+        stack.splice(index, 1);
+        if (stack.length === 0) {
+            document.removeEventListener('keydown', handleDocumentKeydown);
+        }
+        updateInert();
+        moveLayers();
+    }
+
+    /**
+     * Keep open modals above every window, in stack order, after a window opens or is raised
+     */
+    function raiseModals() {
+        let floor = Math.max(0, ...windows.map(other => other.zIndex + 1));
+        stack.forEach(entry => {
+            if (entry.zIndex < floor) {
+                entry.zIndex = floor;
+                entry.overlayEl.style.setProperty('--modal-z-index', floor);
+            }
+            floor = entry.zIndex + 1;
+        });
+    }
+
+    /**
+     * Get where toasts, the live region and stats overlays are mounted: inside the topmost modal when it is a native
+     * <dialog>, whose top layer would otherwise cover them and make them inert, or else the container
+     * @returns {Node}
+     */
+    function getLayerRoot() {
+        const top = getTopEntry();
+        return top && top.dialogLayer ? top.dialogLayer : getContainer();
+    }
+
+    /**
+     * Move the toast containers, live region and stats overlays to the current layer root
+     */
+    function moveLayers() {
+        const root = getLayerRoot();
+        [liveRegionEl, ...Object.values(toastContainers), ...statsOverlays].forEach(el => {
+            if (el && el.isConnected && el.parentNode !== root) {
+                root.appendChild(el);
+            }
+        });
+    }
+
+    /**
+     * Set an attribute back to a value saved with getAttribute(), removing it if it was absent
+     * @param {Element} el
+     * @param {string} name
+     * @param {string|null} value
+     */
+    function restoreAttribute(el, name, value) {
+        if (value === null) {
+            el.removeAttribute(name);
+        } else {
+            el.setAttribute(name, value);
+        }
+    }
+
+    /**
+     * Make everything outside the topmost modal inert, or aria-hidden where inert isn't supported,
+     * and restore the saved attributes of elements no longer behind it
+     */
+    function updateInert() {
+        // The siblings of the modal and of each of its ancestors cover the rest of the page
+        const top = getTopEntry();
+        const hidden = new Set();
+        let node = top ? top.rootEl : null;
+        while (node && node !== document.body && node.parentElement) {
+            Array.from(node.parentElement.children).forEach(sibling => {
+                if (sibling !== node && !sibling.matches(INERT_EXEMPT)) {
+                    hidden.add(sibling);
+                }
+            });
+            node = node.parentElement;
+        }
+
+        inertElements.forEach((saved, el) => {
+            if (hidden.has(el)) return;
+            restoreAttribute(el, 'inert', saved.inert);
+            restoreAttribute(el, 'aria-hidden', saved.ariaHidden);
+            inertElements.delete(el);
+        });
+
+        const supportsInert = 'inert' in HTMLElement.prototype;
+        hidden.forEach(el => {
+            if (inertElements.has(el)) return;
+            inertElements.set(el, {
+                inert: el.getAttribute('inert'),
+                ariaHidden: el.getAttribute('aria-hidden')
+            });
+            if (supportsInert) {
+                el.setAttribute('inert', '');
+            } else {
+                el.setAttribute('aria-hidden', 'true');
+            }
+        });
+    }
+
+    /**
+     * Listen for Back, Forward and hash changes, once for both history entries and routes
+     */
+    function listenForNavigation() {
+        if (listeningForNavigation) return;
+        listeningForNavigation = true;
+        window.addEventListener('popstate', handlePopState);
+        window.addEventListener('hashchange', () => {
+            settleHistoryPosition();
+            openRoutes(false);
+        });
+    }
+
+    /**
+     * Get the exact position of the current entry in the session history, where it can be known
+     * @returns {number|null} From the Navigation API, or from a position recorded in history.state
+     */
+    function historyPosition() {
+        if (typeof navigation !== 'undefined' && navigation && navigation.currentEntry) {
+            return navigation.currentEntry.index;
+        }
+        const state = history.state;
+        return state && typeof state.ojstlIndex === 'number' ? state.ojstlIndex : null;
+    }
+
+    /**
+     * Record a position on the current entry, unless it already carries state of its own
+     * @param {number} position
+     */
+    function markHistoryPosition(position) {
+        if (history.state == null) {
+            history.replaceState({ ojstlIndex: position }, '');
+        }
+    }
+
+    /**
+     * Work out the position of the entry just navigated to, and remember it
+     * @returns {number}
+     */
+    function settleHistoryPosition() {
+        let position = historyPosition();
+        if (position === null) {
+            if (history.state == null || history.length > knownHistoryLength) {
+                // Entries without state are marked before a modal's entry goes above them, so this one is
+                // new, such as a fragment link followed inside a modal, and lies just above the last
+                position = lastHistoryPosition === null ? history.length - 1 : lastHistoryPosition + 1;
+            } else if (historyEntries.length > 0) {
+                // An older entry of the page's own lies below every modal
+                position = historyEntries[0].index - 1;
+            } else {
+                position = lastHistoryPosition === null ? history.length - 1 : lastHistoryPosition;
+            }
+            markHistoryPosition(position);
+        }
+        lastHistoryPosition = position;
+        knownHistoryLength = history.length;
+        return position;
+    }
+
+    /**
+     * Add a modal's history entry, recording its position in the session history
+     * @param {Object} entry - History entry { key, url, index }
+     * @param {boolean} replace - Take over the current entry instead of pushing a new one
+     */
+    function writeHistoryEntry(entry, replace) {
+        let current = historyPosition();
+        if (current === null) {
+            current = lastHistoryPosition === null ? history.length - 1 : lastHistoryPosition;
+            if (!replace) {
+                markHistoryPosition(current);
+            }
+        }
+        entry.index = replace ? current : current + 1;
+
+        const state = { ojstlModal: entry.key, ojstlIndex: entry.index };
+        if (replace) {
+            history.replaceState(state, '', entry.url);
+        } else {
+            history.pushState(state, '', entry.url);
+        }
+        lastHistoryPosition = entry.index;
+        knownHistoryLength = history.length;
+    }
+
+    /**
+     * Close the modals whose entries lie above the history entry navigated to, then open any route the URL now matches
+     */
+    function handlePopState() {
+        if (pendingBacks > 0) {
+            pendingBacks--;
+            return;
+        }
+
+        const position = settleHistoryPosition();
+        const first = historyEntries.findIndex(entry => entry.index > position);
+        if (first !== -1) {
+            historyEntries.splice(first).reverse().forEach(entry => {
+                if (entry.closed) return;
+                entry.instance.hide(false, 'history').then(closed => {
+                    // A modal that stays open gets its entry back
+                    if (!closed) {
+                        writeHistoryEntry(entry, false);
+                        historyEntries.push(entry);
+                    }
+                });
+            });
+        }
+        cleanupHistory();
+        openRoutes(false);
+    }
+
+    /**
+     * Go back below the entries of modals that have closed, along with any entries pushed on top of them
+     */
+    function cleanupHistory() {
+        historyCleanupQueued = false;
+        let position = historyPosition();
+        if (position === null) {
+            if (lastHistoryPosition === null) return;
+            // Entries the page pushed since then fire no event, but do lengthen the history
+            position = lastHistoryPosition + Math.max(0, history.length - knownHistoryLength);
+        }
+
+        let top = historyEntries.length - 1;
+        while (top >= 0 && historyEntries[top].index > position) {
+            top--;
+        }
+        let first = top;
+        while (first >= 0 && historyEntries[first].closed) {
+            first--;
+        }
+        if (first === top) return;
+
+        const target = historyEntries[first + 1].index - 1;
+        historyEntries.splice(first + 1, top - first);
+        lastHistoryPosition = target;
+        pendingBacks++;
+        history.go(target - position);
+    }
+
+    /**
+     * Give a modal its own history entry, closed by navigating back past it. Closing the modal
+     * any other way goes back over the entry, once every modal closing at the same time has closed.
+     * @param {Object} instance - Modal instance
+     * @param {string} url - URL for the entry
+     * @param {boolean} replace - Take over the current entry instead of pushing a new one
+     */
+    function bindHistory(instance, url, replace) {
+        const entry = { key: `ojstl-${++historyKey}`, instance, url, index: 0, closed: false };
+        try {
+            writeHistoryEntry(entry, replace);
+        } catch (e) {
+            console.warn('Could not add a history entry for the modal:', e);
+            return;
+        }
+        historyEntries.push(entry);
+        listenForNavigation();
+
+        instance.addEventListener('close', (e) => {
+            entry.closed = true;
+            if (e.detail.reason !== 'history' && !historyCleanupQueued) {
+                historyCleanupQueued = true;
+                Promise.resolve().then(cleanupHistory);
+            }
+        });
+    }
+
+    /**
+     * Resolve an initialFocus or returnFocus option to an element
+     * @param {HTMLElement|Function|null} option - An element, or a function returning one
+     * @param {Object} instance - Passed to function options
+     * @returns {HTMLElement|null}
+     */
+    function resolveFocusOption(option, instance) {
+        let target = option;
+        if (typeof option === 'function') {
+            try {
+                target = option(instance);
+            } catch (e) {
+                console.error('Error in focus option:', e);
+                return null;
+            }
+        }
+        return target && typeof target.focus === 'function' ? target : null;
+    }
+
+    /**
+     * Get the element modals and toasts are mounted into
+     * @returns {HTMLElement}
+     */
+    function getContainer() {
+        if (typeof config.container === 'string') {
+            return document.querySelector(config.container) || document.body;
+        }
+        return config.container || document.body;
+    }
+
+    /**
+     * Check for constructable stylesheet support
+     * @returns {boolean}
+     */
+    function supportsConstructableStyles() {
+        return typeof CSSStyleSheet === 'function' &&
+            typeof CSSStyleSheet.prototype.replaceSync === 'function' &&
+            'adoptedStyleSheets' in Document.prototype;
+    }
+
+    /**
+     * Build the library stylesheet
+     * @returns {string} CSS text
+     */
+    function getCSS() {
+        // Light theme tokens are the fallback for library elements and shadow hosts, leaving the page's :root alone
+        const rootTokens = Object.keys(themes.light)
+            .map(property => `    ${property}: ${themes.light[property]};`)
+            .join('\n');
+
+        return `
+:host,
+.cg-modal-overlay,
+.cg-toast {
+${rootTokens}
+}
+
+.cg-modal-overlay {
+    position: fixed;
+    inset: 0;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    background-color: var(--modal-overlay-bg);
+    opacity: 0;
+    transition: opacity 240ms ease;
+    z-index: var(--modal-z-index, 1000);
+}
+
+.cg-modal-overlay.cg-modal-overlay-open {
+    opacity: 1;
+}
+
+/* Native <dialog> backend: the dialog fills the viewport and acts as the overlay */
+dialog.cg-modal-overlay {
+    width: 100%;
+    height: 100%;
+    max-width: none;
+    max-height: none;
+    margin: 0;
+    padding: 0;
+    border: none;
+    color: inherit;
+}
+
+dialog.cg-modal-overlay:not([open]) {
+    display: none;
+}
+
+dialog.cg-modal-overlay::backdrop {
+    background: transparent;
+}
+
+.cg-modal {
+    background-color: var(--modal-bg);
+    color: var(--modal-text);
+    padding: 24px;
+    border-radius: 12px;
+    box-shadow: var(--modal-shadow);
+    max-width: var(--modal-max-width);
+    max-height: var(--modal-max-height);
+    outline: none;
+    display: flex;
+    flex-direction: column;
+    opacity: 0;
+    transform: translateY(-12px) scale(0.96);
+    transition: opacity var(--modal-duration, 240ms) ease,
+                transform var(--modal-duration, 240ms) cubic-bezier(0.16, 1, 0.3, 1);
+}
+
+.cg-modal.cg-modal-open {
+    opacity: 1;
+    transform: translateY(0) scale(1);
+}
+
+.cg-modal-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: flex-start;
+    margin-bottom: 16px;
+}
+
+.cg-modal-header h2 {
+    margin: 0;
+    font-size: 1.25rem;
+    font-weight: 600;
+    line-height: 1.5;
+}
+
+.cg-modal-close-icon,
+.cg-window-button {
+    cursor: pointer;
+    padding: 4px;
+    border: none;
+    background: transparent;
+    color: var(--modal-muted);
+    border-radius: 4px;
+    transition: background-color 150ms ease, color 150ms ease;
+    margin-inline-start: 12px;
+    flex-shrink: 0;
+}
+
+.cg-modal-close-icon:hover,
+.cg-window-button:hover {
+    background-color: var(--modal-button-hover);
+    color: var(--modal-text);
+}
+
+.cg-modal-close-icon:focus-visible,
+.cg-window-button:focus-visible {
+    outline: 2px solid var(--modal-focus-ring);
+    outline-offset: 2px;
+}
+
+.cg-modal-body {
+    flex: 1;
+    overflow-y: auto;
+    margin: 16px 0;
+    line-height: 1.6;
+}
+
+.cg-modal-footer {
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+    margin-top: 16px;
+}
+
+.cg-modal-close,
+.cg-modal-button {
+    cursor: pointer;
+    padding: 8px 16px;
+    border: 1px solid var(--modal-border);
+    background: var(--modal-button-bg);
+    color: var(--modal-button-text);
+    border-radius: 6px;
+    font-size: 0.875rem;
+    font-weight: 500;
+    transition: background-color 150ms ease, border-color 150ms ease;
+}
+
+.cg-modal-close:hover,
+.cg-modal-button:hover {
+    background: var(--modal-button-hover);
+}
+
+.cg-modal-close:focus-visible,
+.cg-modal-button:focus-visible {
+    outline: 2px solid var(--modal-focus-ring);
+    outline-offset: 2px;
+}
+
+.cg-modal-button:disabled {
+    cursor: not-allowed;
+    opacity: 0.5;
+}
+
+.cg-modal-button-primary {
+    background: var(--modal-accent);
+    border-color: var(--modal-accent);
+    color: var(--modal-accent-text);
+}
+
+.cg-modal-button-primary:hover {
+    background: var(--modal-accent-hover);
+}
+
+.cg-modal-button-danger {
+    background: var(--modal-danger);
+    border-color: var(--modal-danger);
+    color: var(--modal-danger-text);
+}
+
+.cg-modal-button-danger:hover {
+    background: var(--modal-danger-hover);
+}
+
+.cg-modal-form {
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+}
+
+.cg-modal-field {
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+}
+
+.cg-modal-field-checkbox {
+    flex-direction: row;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 8px;
+}
+
+.cg-modal-field fieldset {
+    margin: 0;
+    padding: 0;
+    border: none;
+}
+
+.cg-modal-field legend,
+.cg-modal-field > label {
+    font-size: 0.875rem;
+    font-weight: 500;
+}
+
+.cg-modal-field input:not([type="checkbox"]):not([type="radio"]),
+.cg-modal-field select,
+.cg-modal-field textarea {
+    padding: 6px 8px;
+    border: 1px solid var(--modal-border);
+    border-radius: 6px;
+    background: var(--modal-bg);
+    color: var(--modal-text);
+    font: inherit;
+}
+
+.cg-modal-field [aria-invalid="true"] {
+    border-color: var(--modal-danger);
+}
+
+.cg-modal-field-error {
+    flex-basis: 100%;
+    color: var(--modal-danger);
+    font-size: 0.8125rem;
+}
+
+.cg-modal-field-error:empty {
+    display: none;
+}
+
+.cg-modal-status {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 12px;
+    padding: 16px 0;
+    text-align: center;
+    color: var(--modal-muted);
+}
+
+.cg-modal-status p {
+    margin: 0;
+}
+
+.cg-modal-status-error {
+    color: var(--modal-danger);
+}
+
+.cg-modal-spinner {
+    width: 24px;
+    height: 24px;
+    box-sizing: border-box;
+    border: 3px solid var(--modal-border);
+    border-top-color: var(--modal-accent);
+    border-radius: 50%;
+    animation: cg-modal-spin 800ms linear infinite;
+}
+
+@keyframes cg-modal-spin {
+    to {
+        transform: rotate(360deg);
+    }
+}
+
+.cg-modal-progress {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+}
+
+.cg-modal-progress-label:empty {
+    display: none;
+}
+
+.cg-modal-progress-track {
+    height: 8px;
+    overflow: hidden;
+    border-radius: 4px;
+    background-color: var(--modal-button-bg);
+}
+
+.cg-modal-progress-bar {
+    width: 0;
+    height: 100%;
+    border-radius: inherit;
+    background-color: var(--modal-accent);
+    transition: width 200ms ease;
+}
+
+.cg-modal-progress-track[data-indeterminate] .cg-modal-progress-bar {
+    width: 40%;
+    animation: cg-modal-indeterminate 1200ms ease-in-out infinite;
+}
+
+@keyframes cg-modal-indeterminate {
+    from {
+        transform: translateX(-100%);
+    }
+    to {
+        transform: translateX(250%);
+    }
+}
+
+@media (prefers-reduced-motion: reduce) {
+    .cg-modal-spinner,
+    .cg-modal-progress-track[data-indeterminate] .cg-modal-progress-bar {
+        animation-duration: 3000ms;
+    }
+}
+
+.cg-toast-container {
+    position: fixed;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    max-width: calc(100vw - 32px);
+    pointer-events: none;
+    z-index: var(--modal-z-index, 1100);
+}
+
+.cg-toast-container[data-position^="top"] {
+    top: 16px;
+    flex-direction: column-reverse;
+}
+
+.cg-toast-container[data-position^="bottom"] {
+    bottom: 16px;
+}
+
+.cg-toast-container[data-position$="left"] {
+    left: 16px;
+    align-items: flex-start;
+}
+
+.cg-toast-container[data-position$="right"] {
+    right: 16px;
+    align-items: flex-end;
+}
+
+.cg-toast-container[data-position$="center"] {
+    left: 50%;
+    align-items: center;
+    transform: translateX(-50%);
+}
+
+.cg-toast {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    width: 360px;
+    max-width: 100%;
+    box-sizing: border-box;
+    padding: 12px 16px;
+    border: 1px solid var(--modal-border);
+    border-inline-start-width: 4px;
+    border-radius: 8px;
+    background-color: var(--modal-bg);
+    color: var(--modal-text);
+    box-shadow: var(--modal-shadow);
+    line-height: 1.5;
+    pointer-events: auto;
+    opacity: 0;
+    transform: translateY(8px);
+    transition: opacity var(--modal-duration, 200ms) ease,
+                transform var(--modal-duration, 200ms) ease;
+}
+
+.cg-toast.cg-toast-open {
+    opacity: 1;
+    transform: translateY(0);
+}
+
+.cg-toast[data-type="success"] {
+    border-inline-start-color: var(--modal-success);
+}
+
+.cg-toast[data-type="warning"] {
+    border-inline-start-color: var(--modal-warning);
+}
+
+.cg-toast[data-type="error"] {
+    border-inline-start-color: var(--modal-danger);
+}
+
+.cg-toast[data-type="info"] {
+    border-inline-start-color: var(--modal-accent);
+}
+
+.cg-toast-message {
+    flex: 1;
+}
+
+.cg-toast-actions {
+    display: flex;
+    gap: 8px;
+}
+
+.cg-toast .cg-modal-button {
+    padding: 4px 10px;
+}
+
+.cg-toast .cg-modal-close-icon {
+    margin-inline-start: 0;
+}
+
+.cg-live-region {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    margin: -1px;
+    padding: 0;
+    overflow: hidden;
+    clip: rect(0, 0, 0, 0);
+    white-space: nowrap;
+    border: 0;
+}
+
+/* Frame stats overlay */
+.cg-stats {
+    position: fixed;
+    top: 8px;
+    left: 8px;
+    z-index: 2147483647;
+    padding: 6px 8px;
+    border-radius: 6px;
+    background-color: rgba(0, 0, 0, 0.75);
+    color: #fff;
+    font: 11px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+    white-space: pre;
+    pointer-events: none;
+}
+
+.cg-stats[data-position$="right"] {
+    left: auto;
+    right: 8px;
+}
+
+.cg-stats[data-position^="bottom"] {
+    top: auto;
+    bottom: 8px;
+}
+
+.cg-stats-graph {
+    display: block;
+    width: 120px;
+    height: 30px;
+    margin-top: 4px;
+}
+
+.cg-stats-graph polyline {
+    fill: none;
+    stroke: #4ade80;
+    stroke-width: 1;
+    vector-effect: non-scaling-stroke;
+}
+
+.cg-stats-graph line {
+    stroke: rgba(255, 255, 255, 0.4);
+    stroke-dasharray: 2 2;
+    vector-effect: non-scaling-stroke;
+}
+
+/* Drawers and sheets; auto margins keep left and right physical in right-to-left layouts */
+.cg-modal-overlay[data-placement="top"] {
+    align-items: flex-start;
+}
+
+.cg-modal-overlay[data-placement="bottom"] {
+    align-items: flex-end;
+}
+
+.cg-modal[data-placement="left"] {
+    margin-right: auto;
+    border-radius: 0 12px 12px 0;
+    transform: translateX(-100%);
+}
+
+.cg-modal[data-placement="right"] {
+    margin-left: auto;
+    border-radius: 12px 0 0 12px;
+    transform: translateX(100%);
+}
+
+.cg-modal[data-placement="top"] {
+    border-radius: 0 0 12px 12px;
+    transform: translateY(-100%);
+}
+
+.cg-modal[data-placement="bottom"] {
+    border-radius: 12px 12px 0 0;
+    transform: translateY(100%);
+}
+
+.cg-modal[data-placement].cg-modal-open {
+    transform: none;
+}
+
+.cg-modal[data-swipe] .cg-modal-header {
+    touch-action: none;
+}
+
+/* Non-modal windows: the layer lets the page be used around them */
+.cg-modal-overlay[data-window] {
+    background: transparent;
+    pointer-events: none;
+}
+
+.cg-modal[data-window] {
+    position: fixed;
+    margin: 0;
+    box-sizing: border-box;
+    pointer-events: auto;
+}
+
+.cg-modal[data-window] .cg-modal-header {
+    justify-content: flex-start;
+    cursor: move;
+    user-select: none;
+    touch-action: none;
+}
+
+.cg-modal[data-window] .cg-modal-header h2 {
+    flex: 1;
+    min-width: 0;
+}
+
+.cg-modal[data-window-state="maximized"] {
+    border-radius: 0;
+}
+
+.cg-modal[data-window-state="maximized"] .cg-modal-header {
+    cursor: default;
+}
+
+.cg-modal[data-window-state="minimized"] .cg-modal-header {
+    margin-bottom: 0;
+}
+
+.cg-modal[data-window-state="minimized"] .cg-modal-body,
+.cg-modal[data-window-state="minimized"] .cg-modal-footer,
+.cg-modal[data-window-state] .cg-window-handle {
+    display: none;
+}
+
+.cg-window-button {
+    margin-inline-start: 4px;
+}
+
+.cg-window-handle {
+    position: absolute;
+    z-index: 1;
+}
+
+.cg-window-handle[data-edge="n"],
+.cg-window-handle[data-edge="s"] {
+    left: 8px;
+    right: 8px;
+    height: 8px;
+    cursor: ns-resize;
+}
+
+.cg-window-handle[data-edge="e"],
+.cg-window-handle[data-edge="w"] {
+    top: 8px;
+    bottom: 8px;
+    width: 8px;
+    cursor: ew-resize;
+}
+
+.cg-window-handle[data-edge="n"] {
+    top: -4px;
+}
+
+.cg-window-handle[data-edge="s"] {
+    bottom: -4px;
+}
+
+.cg-window-handle[data-edge="e"] {
+    right: -4px;
+}
+
+.cg-window-handle[data-edge="w"] {
+    left: -4px;
+}
+
+.cg-window-handle[data-edge="ne"],
+.cg-window-handle[data-edge="se"],
+.cg-window-handle[data-edge="sw"],
+.cg-window-handle[data-edge="nw"] {
+    width: 12px;
+    height: 12px;
+}
+
+.cg-window-handle[data-edge="nw"],
+.cg-window-handle[data-edge="se"] {
+    cursor: nwse-resize;
+}
+
+.cg-window-handle[data-edge="ne"],
+.cg-window-handle[data-edge="sw"] {
+    cursor: nesw-resize;
+}
+
+.cg-window-handle[data-edge="ne"] {
+    top: -4px;
+    right: -4px;
+}
+
+.cg-window-handle[data-edge="se"] {
+    bottom: -4px;
+    right: -4px;
+}
+
+.cg-window-handle[data-edge="sw"] {
+    bottom: -4px;
+    left: -4px;
+}
+
+.cg-window-handle[data-edge="nw"] {
+    top: -4px;
+    left: -4px;
+}
+
+.cg-modal[data-dragging] {
+    user-select: none;
+}
+
+/* Responsive */
+@media (max-width: 640px) {
+    .cg-modal {
+        padding: 20px;
+        border-radius: 8px;
+    }
+    
+    .cg-modal-header h2 {
+        font-size: 1.125rem;
+    }
+}
+`;
+    }
+
+    /**
+     * Inject modal styles into the document or a shadow root
+     * @param {Document|ShadowRoot} root - Where the styles are needed (default document)
+     */
+    function injectCSS(root = document) {
+        // Shadow roots always prefer a constructable stylesheet; the document only when configured
+        if (supportsConstructableStyles() && (root !== document || config.constructableStyles)) {
+            if (!sharedSheet) {
+                sharedSheet = new CSSStyleSheet();
+                sharedSheet.replaceSync(getCSS());
+            }
+            if (!root.adoptedStyleSheets.includes(sharedSheet)) {
+                root.adoptedStyleSheets = [...root.adoptedStyleSheets, sharedSheet];
+            }
+            return;
+        }
+
+        if (root.getElementById('cg-modal-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'cg-modal-styles';
+        if (config.nonce) {
+            style.setAttribute('nonce', config.nonce);
+        }
+        style.textContent = getCSS();
+        (root === document ? document.head : root).appendChild(style);
+    }
+
+    /**
+     * Check a content mode, falling back to the global default
+     * @param {string|null} mode - 'html' | 'text' | 'sanitize', or null for the global default
+     * @returns {string} Usable content mode
+     */
+    function normalizeContentMode(mode) {
+        const fallback = CONTENT_MODES.includes(config.contentMode) ? config.contentMode : 'html';
+        if (mode === null || mode === undefined) return fallback;
+        if (CONTENT_MODES.includes(mode)) return mode;
+
+        console.warn(`Unknown contentMode "${mode}", using "${fallback}"`);
+        return fallback;
+    }
+
+    // Private Trusted Types policy for parsing into an inert document before sanitizing; undefined until first use
+    let parsePolicy;
+
+    /**
+     * Wrap HTML for parsing under Trusted Types enforcement
+     * @param {string} html
+     * @returns {string|TrustedHTML}
+     */
+    function toParsableHTML(html) {
+        if (parsePolicy === undefined) {
+            parsePolicy = null;
+            if (typeof trustedTypes !== 'undefined' && typeof trustedTypes.createPolicy === 'function') {
+                try {
+                    parsePolicy = trustedTypes.createPolicy('ojstl-sanitizer', { createHTML: input => input });
+                } catch (e) {
+                    console.warn('Could not create the "ojstl-sanitizer" Trusted Types policy; allow it in your trusted-types CSP directive');
+                }
+            }
+        }
+        return parsePolicy ? parsePolicy.createHTML(html) : html;
+    }
+
+    /**
+     * Check a URL attribute value, allowing relative URLs and safe protocols only
+     * @param {string} name - Attribute name
+     * @param {string} value - Attribute value
+     * @returns {boolean}
+     */
+    function isSafeURL(name, value) {
+        // srcset holds several comma-separated candidates, each "url descriptor"
+        const urls = name === 'srcset' ? value.split(',').map(part => part.trim().split(/\s+/)[0]) : [value];
+        return urls.every(url => {
+            // Browsers ignore whitespace and control characters inside the scheme
+            const normalized = url.replace(/[\u0000-\u0020\u007f-\u00a0]/g, '').toLowerCase();
+            const scheme = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+            return !scheme || SAFE_URL_SCHEMES.includes(scheme[1]);
+        });
+    }
+
+    /**
+     * Check an attribute against the allowlist; event handlers are never allowed
+     * @param {Attr} attr
+     * @param {string[]} allowed - Attribute names; entries ending in * match a prefix, e.g. 'data-*'
+     * @returns {boolean}
+     */
+    function isAllowedAttribute(attr, allowed) {
+        const name = attr.name.toLowerCase();
+        if (name.startsWith('on')) return false;
+
+        const listed = allowed.some(entry => (entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : name === entry));
+        return listed && (!URL_ATTRIBUTES.includes(name) || isSafeURL(name, attr.value));
+    }
+
+    /**
+     * Remove everything outside the allowlist from a node's children, in place
+     * @param {Node} parent
+     * @param {string[]} tags - Allowed tag names
+     * @param {string[]} attributes - Allowed attribute names
+     */
+    function sanitizeChildren(parent, tags, attributes) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === 3) return; // Text
+            if (node.nodeType !== 1) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.localName.toLowerCase();
+            if (!tags.includes(tag)) {
+                // Dangerous elements go with their content; anything else is unwrapped
+                if (DROPPED_TAGS.includes(tag)) {
+                    node.remove();
+                } else {
+                    sanitizeChildren(node, tags, attributes);
+                    node.replaceWith(...Array.from(node.childNodes));
+                }
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attr => {
+                if (!isAllowedAttribute(attr, attributes)) {
+                    node.removeAttribute(attr.name);
+                }
+            });
+            if (tag === 'a' && node.getAttribute('target') === '_blank') {
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+            sanitizeChildren(node, tags, attributes);
+        });
+    }
+
+    /**
+     * Sanitize an HTML string with the built-in allowlist sanitizer
+     * @param {string} html
+     * @returns {DocumentFragment} Safe nodes, owned by the current document
+     */
+    function sanitizeHTML(html) {
+        // Parsing in an inert document runs no scripts and loads no images
+        const inert = document.implementation.createHTMLDocument('');
+        inert.body.innerHTML = toParsableHTML(String(html));
+        sanitizeChildren(inert.body, config.allowedTags, config.allowedAttributes);
+
+        const fragment = document.createDocumentFragment();
+        Array.from(inert.body.childNodes).forEach(node => fragment.appendChild(document.adoptNode(node)));
+        return fragment;
+    }
+
+    /**
+     * Replace an element's content with a string according to the content mode
+     * @param {HTMLElement} el
+     * @param {string} content
+     * @param {string} mode - 'html' | 'text' | 'sanitize'
+     */
+    function setContent(el, content, mode) {
+        if (mode === 'text') {
+            el.textContent = content;
+            return;
+        }
+
+        if (mode === 'sanitize') {
+            // Prefer the browser's Sanitizer API; it always strips script-capable markup too
+            if (typeof el.setHTML === 'function') {
+                try {
+                    el.setHTML(content, {
+                        sanitizer: {
+                            elements: config.allowedTags,
+                            attributes: config.allowedAttributes.filter(name => !name.endsWith('*')),
+                            dataAttributes: config.allowedAttributes.includes('data-*')
+                        }
+                    });
+                    return;
+                } catch (e) {
+                    // Older or partial implementations; use the built-in sanitizer
+                }
+            }
+            el.textContent = '';
+            el.appendChild(sanitizeHTML(content));
+            return;
+        }
+
+        el.innerHTML = config.trustedTypesPolicy ? config.trustedTypesPolicy.createHTML(content) : content;
+    }
+
+    /**
+     * Turn async modal content into a loader
+     * @param {*} content - A promise, a function ({ signal }) => content or promise, or a { url, init } descriptor
+     * @returns {Object|null} { load, retryable }, or null for plain content
+     */
+    function toLoader(content) {
+        if (typeof content === 'function') {
+            return { load: content, retryable: true };
+        }
+        if (content && typeof content.then === 'function') {
+            return { load: () => content, retryable: false };
+        }
+        if (content && typeof content === 'object' && typeof content.url === 'string') {
+            return {
+                load: ({ signal }) => fetch(content.url, { ...content.init, signal }),
+                retryable: true
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Read a fetch Response as text; other values pass through
+     * @param {*} value
+     * @returns {*} Content, or a promise of it
+     */
+    function readResponse(value) {
+        if (value && typeof value === 'object' && typeof value.text === 'function' && typeof value.ok === 'boolean') {
+            if (!value.ok) {
+                throw new Error(`Request failed with status ${value.status}`);
+            }
+            return value.text();
+        }
+        return value;
+    }
+
+    /**
+     * Get all focusable elements within a container
+     * @param {HTMLElement} container 
+     * @returns {HTMLElement[]}
+     */
+    function getFocusable(container) {
+        if (!container) return [];
+
+        const selector = [
+            'a[href]:not([tabindex="-1"])',
+            'area[href]:not([tabindex="-1"])',
+            'input:not([disabled]):not([type="hidden"]):not([tabindex="-1"])',
+            'select:not([disabled]):not([tabindex="-1"])',
+            'textarea:not([disabled]):not([tabindex="-1"])',
+            'button:not([disabled]):not([tabindex="-1"])',
+            'iframe:not([tabindex="-1"])',
+            'object:not([tabindex="-1"])',
+            'embed:not([tabindex="-1"])',
+            '[contenteditable]:not([tabindex="-1"])',
+            '[tabindex]:not([tabindex="-1"])'
+        ].join(',');
+
+        return Array.from(container.querySelectorAll(selector)).filter(el => {
+            const style = window.getComputedStyle(el);
+            return style.display !== 'none' && 
+                   style.visibility !== 'hidden' &&
+                   (el.offsetWidth > 0 || el.offsetHeight > 0 || el === el.getRootNode().activeElement);
+        });
+    }
+
+    /**
+     * Build and display the modal
+     * @param {string|HTMLElement} content 
+     * @param {Object} opts 
+     * @returns {Object} Modal instance
+     */
+    function buildModal(content, opts) {
+        assertDOM('modal');
+
+        // Isolated modals render inside their own shadow root
+        let hostEl = null;
+        let renderRoot = document;
+        if (opts.isolate) {
+            hostEl = document.createElement('div');
+            hostEl.className = 'cg-modal-host';
+            renderRoot = hostEl.attachShadow({ mode: 'open' });
+        }
+        injectCSS(renderRoot);
+
+        // Create elements
+        // Above an open native <dialog> a div would render under the top layer, so modals open as dialogs too
+        const topEntry = getTopEntry();
+        const useDialog = resolveBackend(opts.modal && topEntry && topEntry.dialogLayer ? 'dialog' : opts.backend) === 'dialog';
+        const overlayEl = document.createElement(useDialog ? 'dialog' : 'div');
+        const dialogEl = document.createElement('div');
+        const headerEl = document.createElement('div');
+        const titleEl = document.createElement('h2');
+        const bodyEl = document.createElement('div');
+        const footerEl = document.createElement('div');
+
+        // Instances are event targets for lifecycle events
+        const instance = new EventTarget();
+        if (opts.on && typeof opts.on === 'object') {
+            Object.keys(opts.on).forEach(type => instance.addEventListener(type, opts.on[type]));
+        }
+
+        // Generate unique IDs
+        const idSuffix = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+        const titleId = `modal-title-${idSuffix}`;
+        const bodyId = `modal-body-${idSuffix}`;
+
+        // Modals stack above any modal or window already open, windows above other windows; a window
+        // opened under an open modal raises the modals instead (see raiseModals)
+        const beneath = opts.modal ? stack.concat(windows) : windows;
+        const zIndex = Math.max(opts.zIndex, ...beneath.map(other => other.zIndex + 1));
+
+        // Setup overlay
+        overlayEl.className = 'cg-modal-overlay';
+        overlayEl.setAttribute('part', 'overlay');
+        overlayEl.style.setProperty('--modal-z-index', zIndex);
+        if (opts.dir) {
+            overlayEl.setAttribute('dir', opts.dir);
+        }
+        if (opts.placement !== 'center') {
+            overlayEl.setAttribute('data-placement', opts.placement);
+        }
+        if (!opts.modal) {
+            overlayEl.setAttribute('data-window', '');
+        }
+
+        // Setup dialog
+        dialogEl.className = `cg-modal ${opts.className}`.trim();
+        dialogEl.setAttribute('part', 'dialog');
+        dialogEl.style.width = opts.width;
+        dialogEl.style.height = opts.height;
+        dialogEl.style.setProperty('--modal-max-width', opts.maxWidth);
+        dialogEl.style.setProperty('--modal-max-height', opts.maxHeight);
+        dialogEl.style.setProperty('--modal-duration', `${opts.animationDuration}ms`);
+
+        // Drawers span the full height, sheets the full width
+        if (opts.placement === 'left' || opts.placement === 'right') {
+            dialogEl.style.height = '100%';
+            dialogEl.style.setProperty('--modal-max-height', 'none');
+        } else if (opts.placement === 'top' || opts.placement === 'bottom') {
+            dialogEl.style.width = '100%';
+            dialogEl.style.setProperty('--modal-max-width', 'none');
+        }
+        if (opts.placement !== 'center') {
+            dialogEl.setAttribute('data-placement', opts.placement);
+        }
+
+        // Windows are positioned and sized by script, kept inside the viewport
+        if (!opts.modal) {
+            dialogEl.setAttribute('data-window', '');
+            dialogEl.style.setProperty('--modal-max-width', 'none');
+            dialogEl.style.setProperty('--modal-max-height', 'none');
+        }
+
+        // Theme the overlay too so its backdrop follows the theme
+        applyTheme(overlayEl, opts.theme);
+        applyTheme(dialogEl, opts.theme);
+
+        // ARIA attributes; a native <dialog> already has modal dialog semantics
+        const labelledEl = useDialog ? overlayEl : dialogEl;
+        if (!useDialog) {
+            dialogEl.setAttribute('role', 'dialog');
+            dialogEl.setAttribute('aria-modal', opts.modal ? 'true' : 'false');
+        }
+        dialogEl.setAttribute('tabindex', '-1');
+        labelledEl.setAttribute('aria-labelledby', titleId);
+        labelledEl.setAttribute('aria-describedby', bodyId);
+
+        // Setup header
+        headerEl.className = 'cg-modal-header';
+        headerEl.setAttribute('part', 'header');
+        titleEl.id = titleId;
+        titleEl.setAttribute('part', 'title');
+        titleEl.textContent = opts.title;
+        headerEl.appendChild(titleEl);
+
+        // Window controls, updated to offer Restore while minimized or maximized
+        let minimizeEl = null;
+        let maximizeEl = null;
+        if (!opts.modal) {
+            if (opts.minimizable) {
+                minimizeEl = createWindowButton('minimize', () => setWindowState(windowState === 'minimized' ? 'normal' : 'minimized'));
+            }
+            if (opts.maximizable) {
+                maximizeEl = createWindowButton('maximize', () => setWindowState(windowState === 'maximized' ? 'normal' : 'maximized'));
+            }
+        }
+
+        /**
+         * Add a window control button to the header
+         * @param {string} name - 'minimize' or 'maximize'
+         * @param {Function} onClick
+         * @returns {HTMLButtonElement}
+         */
+        function createWindowButton(name, onClick) {
+            const buttonEl = document.createElement('button');
+            buttonEl.type = 'button';
+            buttonEl.className = 'cg-window-button';
+            buttonEl.setAttribute('part', `window-button window-${name}`);
+            buttonEl.addEventListener('click', onClick);
+            headerEl.appendChild(buttonEl);
+            return buttonEl;
+        }
+
+        // Add close icon button in header
+        if (opts.showCloseButton) {
+            const closeIcon = document.createElement('button');
+            closeIcon.type = 'button';
+            closeIcon.className = 'cg-modal-close-icon';
+            closeIcon.setAttribute('part', 'close-icon');
+            closeIcon.textContent = '✕';
+            closeIcon.setAttribute('aria-label', opts.strings.closeLabel);
+            closeIcon.addEventListener('click', () => hide(false, 'close-icon'));
+            headerEl.appendChild(closeIcon);
+        }
+
+        // Async content state
+        let loader = null;
+        let loadController = null;
+        let loadToken = 0;
+
+        /**
+         * Replace the body with content
+         * @param {string|Node} value
+         */
+        function setBody(value) {
+            bodyEl.removeAttribute('aria-busy');
+            if (value instanceof Node) {
+                bodyEl.textContent = '';
+                bodyEl.appendChild(value);
+            } else if (typeof value === 'string') {
+                setContent(bodyEl, value, opts.contentMode);
+            } else {
+                console.warn('Invalid modal content provided');
+                bodyEl.textContent = '';
+            }
+        }
+
+        /**
+         * Announce the body text after its content is swapped while open
+         */
+        function announceBody() {
+            const text = bodyEl.textContent.trim();
+            if (text) {
+                announce(text);
+            }
+        }
+
+        /**
+         * Replace the body with a loading or error status
+         * @param {string} kind - 'loading' or 'error'
+         */
+        function setStatus(kind) {
+            const statusEl = document.createElement('div');
+            const messageEl = document.createElement('p');
+            statusEl.className = `cg-modal-status cg-modal-status-${kind}`;
+            statusEl.setAttribute('part', `status status-${kind}`);
+
+            if (kind === 'loading') {
+                const spinnerEl = document.createElement('span');
+                spinnerEl.className = 'cg-modal-spinner';
+                spinnerEl.setAttribute('aria-hidden', 'true');
+                statusEl.setAttribute('role', 'status');
+                statusEl.appendChild(spinnerEl);
+                messageEl.textContent = opts.strings.loading;
+                bodyEl.setAttribute('aria-busy', 'true');
+            } else {
+                statusEl.setAttribute('role', 'alert');
+                messageEl.textContent = opts.strings.loadError;
+                bodyEl.removeAttribute('aria-busy');
+            }
+            statusEl.appendChild(messageEl);
+
+            // Only loaders that can run again get a Retry button
+            if (kind === 'error' && loader.retryable) {
+                const retryEl = document.createElement('button');
+                retryEl.type = 'button';
+                retryEl.className = 'cg-modal-button cg-modal-button-default';
+                retryEl.setAttribute('part', 'button button-retry');
+                retryEl.textContent = opts.strings.retry;
+                retryEl.addEventListener('click', () => loadContent(loader));
+                statusEl.appendChild(retryEl);
+            }
+
+            bodyEl.textContent = '';
+            bodyEl.appendChild(statusEl);
+        }
+
+        /**
+         * Show a spinner, run a loader and swap in its content, or an error state if it fails
+         * @param {Object} source - From toLoader()
+         */
+        function loadContent(source) {
+            const token = ++loadToken;
+            if (loadController) {
+                loadController.abort();
+            }
+            loader = source;
+            loadController = typeof AbortController === 'function' ? new AbortController() : null;
+            const signal = loadController ? loadController.signal : undefined;
+            setStatus('loading');
+
+            // Results of superseded loads, or loads finishing after close, are dropped
+            const current = () => token === loadToken && !closing;
+            Promise.resolve()
+                .then(() => source.load({ signal }))
+                .then(readResponse)
+                .then(value => {
+                    if (!current()) return;
+                    loadController = null;
+                    const hadFocus = bodyEl.contains(document.activeElement);
+                    setBody(value);
+                    if (hadFocus) {
+                        dialogEl.focus();
+                    }
+                    announceBody();
+                    dispatchLifecycle(instance, 'load', { content: value });
+                }, error => {
+                    if (!current()) return;
+                    loadController = null;
+                    console.error('Error loading modal content:', error);
+                    setStatus('error');
+                    dispatchLifecycle(instance, 'loaderror', { error });
+                });
+        }
+
+        // Setup body
+        bodyEl.id = bodyId;
+        bodyEl.className = 'cg-modal-body';
+        bodyEl.setAttribute('part', 'body');
+        const initialLoader = toLoader(content);
+        if (initialLoader) {
+            loadContent(initialLoader);
+        } else {
+            setBody(content);
+        }
+
+        // Setup footer
+        footerEl.className = 'cg-modal-footer';
+        footerEl.setAttribute('part', 'footer');
+        let autofocusButton = null;
+        if (opts.buttons && opts.buttons.length > 0) {
+            opts.buttons.forEach(btn => {
+                const buttonEl = document.createElement('button');
+                const value = btn.value !== undefined ? btn.value : true;
+                buttonEl.type = 'button';
+                buttonEl.className = `cg-modal-button cg-modal-button-${btn.variant || 'default'}`;
+                buttonEl.setAttribute('part', `button button-${btn.variant || 'default'}`);
+                buttonEl.textContent = btn.text;
+                buttonEl.disabled = Boolean(btn.disabled);
+                buttonEl.addEventListener('click', (e) => {
+                    // onClick may return false to keep the modal open
+                    if (typeof btn.onClick === 'function' && btn.onClick(e, instance) === false) return;
+                    hide(value, 'button');
+                });
+                if (btn.autofocus && !autofocusButton) {
+                    autofocusButton = buttonEl;
+                }
+                footerEl.appendChild(buttonEl);
+            });
+        } else if (opts.showCloseButton) {
+            const closeButton = document.createElement('button');
+            closeButton.type = 'button';
+            closeButton.className = 'cg-modal-close';
+            closeButton.setAttribute('part', 'button close-button');
+            closeButton.textContent = opts.closeButtonText;
+            closeButton.setAttribute('aria-label', opts.closeButtonText);
+            closeButton.addEventListener('click', () => hide(true, 'button'));
+            footerEl.appendChild(closeButton);
+        }
+
+        // Store previous state before a native <dialog> moves focus into itself
+        const previouslyFocused = document.activeElement;
+        // Its ancestors, to fall back on if it is removed while the modal is open
+        const focusPath = [];
+        for (let el = previouslyFocused && previouslyFocused.parentElement; el; el = el.parentElement) {
+            focusPath.push(el);
+        }
+
+        // Assemble modal
+        dialogEl.append(headerEl, bodyEl, footerEl);
+        overlayEl.appendChild(dialogEl);
+        dispatchLifecycle(instance, 'beforeopen');
+        if (hostEl) {
+            renderRoot.appendChild(overlayEl);
+            getContainer().appendChild(hostEl);
+        } else {
+            getContainer().appendChild(overlayEl);
+        }
+        if (useDialog) {
+            overlayEl.showModal();
+        }
+
+        // Save scroll position and lock body; windows leave the page usable
+        if (opts.modal) {
+            lockScroll(opts.restoreScroll);
+        }
+
+        /**
+         * Focus the initial element
+         */
+        function focusInitial() {
+            // A window opened behind a modal is inert, so focus stays in the modal
+            if (!opts.modal && stack.length > 0) return;
+
+            const initial = resolveFocusOption(opts.initialFocus, instance);
+            if (initial) {
+                initial.focus();
+                return;
+            }
+            if (opts.autoFocusSelector) {
+                const target = dialogEl.querySelector(opts.autoFocusSelector);
+                if (target && typeof target.focus === 'function') {
+                    target.focus();
+                    return;
+                }
+            }
+            if (autofocusButton && !autofocusButton.disabled) {
+                autofocusButton.focus();
+                return;
+            }
+            const focusables = getFocusable(dialogEl);
+            if (focusables.length > 0) {
+                focusables[0].focus();
+            } else {
+                dialogEl.focus();
+            }
+        }
+
+        // Settles once the opening animation has ended, or been cut short by closing
+        let resolveOpened;
+        const openedPromise = new Promise(resolve => { resolveOpened = resolve; });
+
+        /**
+         * Fire the open event unless the modal is already closing
+         */
+        function opened() {
+            resolveOpened();
+            if (!closing) {
+                dispatchLifecycle(instance, 'open');
+            }
+        }
+
+        /**
+         * Run the keyframe animation on the dialog, with a fade on the overlay
+         * @param {boolean} reverse - Play backwards for closing, holding the end state until removal
+         * @returns {Animation[]}
+         */
+        function animateKeyframes(reverse) {
+            const timing = {
+                duration: opts.animationDuration,
+                direction: reverse ? 'reverse' : 'normal',
+                fill: reverse ? 'forwards' : 'none'
+            };
+            try {
+                return [
+                    dialogEl.animate(motion, { ...timing, easing: 'cubic-bezier(0.16, 1, 0.3, 1)' }),
+                    overlayEl.animate(ANIMATION_PRESETS.fade, { ...timing, easing: 'ease' })
+                ];
+            } catch (e) {
+                console.warn('Invalid animation keyframes:', e);
+                return [];
+            }
+        }
+
+        // Apply animations and focus; keyframe animations run over the final state with transitions off
+        const motion = resolveMotion(opts.animation);
+        if (motion === true) {
+            requestAnimationFrame(() => {
+                overlayEl.classList.add('cg-modal-overlay-open');
+                requestAnimationFrame(() => {
+                    dialogEl.classList.add('cg-modal-open');
+                    focusInitial();
+                    motionEnd([overlayEl, dialogEl]).then(opened);
+                });
+            });
+        } else {
+            overlayEl.style.transition = 'none';
+            dialogEl.style.transition = 'none';
+            overlayEl.classList.add('cg-modal-overlay-open');
+            dialogEl.classList.add('cg-modal-open');
+            const animations = motion ? animateKeyframes(false) : [];
+            focusInitial();
+            motionEnd([], animations).then(opened);
+        }
+
+        /**
+         * Trap focus within modal
+         */
+        function trapFocus(e) {
+            if (!opts.trapFocus || e.key !== 'Tab') return;
+
+            const focusables = getFocusable(dialogEl);
+            if (focusables.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusables[0];
+            const last = focusables[focusables.length - 1];
+
+            // Inside a shadow root the document only sees the host as active
+            const active = renderRoot.activeElement;
+            if (e.shiftKey && active === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && active === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        /**
+         * Handle keyboard events
+         */
+        function handleKeydown(e) {
+            // A native <dialog> reports Escape through its cancel event instead
+            if ((e.key === 'Escape' || e.key === 'Esc') && opts.closeOnEsc && !useDialog) {
+                e.preventDefault();
+                hide(false, 'escape');
+            }
+            trapFocus(e);
+        }
+
+        /**
+         * Handle the native <dialog> cancel event (Escape or a platform close request)
+         */
+        function handleCancel(e) {
+            e.preventDefault();
+            if (opts.closeOnEsc && getTopEntry() === entry) {
+                hide(false, 'escape');
+            }
+        }
+
+        /**
+         * Handle the browser closing a native <dialog> without going through hide()
+         */
+        function handleNativeClose() {
+            if (closing) return;
+
+            // Reopen so beforeclose listeners and the beforeClose guard can still keep it open
+            overlayEl.showModal();
+            hide(false, 'escape');
+        }
+
+        /**
+         * Handle overlay clicks
+         */
+        function handleOverlayClick(e) {
+            if (opts.closeOnOverlayClick && e.target === overlayEl && getTopEntry() === entry) {
+                hide(false, 'overlay');
+            }
+        }
+
+        // Promise support
+        let resolvePromise;
+        const promise = opts.resolveOnClose 
+            ? new Promise(resolve => { resolvePromise = resolve; }) 
+            : null;
+
+        // Set once closing starts; pendingHide is shared by repeated hide() calls
+        let closing = false;
+        let pendingHide = null;
+
+        /**
+         * Hide the modal, unless a beforeclose listener or the beforeClose guard objects
+         * @param {*} result - Result to pass to promise
+         * @param {string} reason - 'escape' | 'overlay' | 'close-icon' | 'button' | 'swipe' | 'history' | 'programmatic'
+         * @returns {Promise<boolean>} Resolves true once closed, false if the close was prevented
+         */
+        function hide(result = true, reason = 'programmatic') {
+            if (pendingHide) return pendingHide;
+
+            if (!dispatchLifecycle(instance, 'beforeclose', { reason, result }, true)) {
+                return Promise.resolve(false);
+            }
+
+            if (typeof opts.beforeClose !== 'function') {
+                pendingHide = startClose(result, reason);
+                return pendingHide;
+            }
+
+            pendingHide = Promise.resolve()
+                .then(() => opts.beforeClose(reason, instance))
+                .catch(e => {
+                    console.error('Error in beforeClose guard:', e);
+                    return false;
+                })
+                .then(allowed => {
+                    if (allowed === false) {
+                        pendingHide = null;
+                        return false;
+                    }
+                    return startClose(result, reason);
+                });
+            return pendingHide;
+        }
+
+        /**
+         * Start closing the modal
+         * @returns {Promise<boolean>} Resolves true once the closing animation has ended and it is cleaned up
+         */
+        function startClose(result, reason) {
+            closing = true;
+            removeEntry(entry);
+            if (windowEntry) {
+                windows.splice(windows.indexOf(windowEntry), 1);
+                updateInert();
+                window.removeEventListener('resize', handleViewportResize);
+                // Closing a window only moves focus if it had it
+                focusWithin = (hostEl || overlayEl).contains(document.activeElement);
+            }
+
+            // Set before the close event, so hide() calls from its listeners share this close
+            let closed;
+            pendingHide = new Promise(resolve => { closed = resolve; });
+            dispatchLifecycle(instance, 'close', { reason, result });
+
+            let ended;
+            if (motion === true) {
+                dialogEl.classList.remove('cg-modal-open');
+                overlayEl.classList.remove('cg-modal-overlay-open');
+                ended = motionEnd([overlayEl, dialogEl]);
+            } else if (motion) {
+                ended = motionEnd([], animateKeyframes(true));
+            } else {
+                ended = Promise.resolve();
+            }
+
+            ended.then(() => {
+                cleanup(result, reason);
+                closed(true);
+            });
+            return pendingHide;
+        }
+
+        /**
+         * Clean up modal and restore state
+         */
+        function cleanup(result, reason) {
+            if (loadController) {
+                loadController.abort();
+                loadController = null;
+            }
+            if (useDialog && overlayEl.open) {
+                overlayEl.close();
+            }
+            (hostEl || overlayEl).remove();
+            autoThemed.delete(overlayEl);
+            autoThemed.delete(dialogEl);
+
+            restoreFocus();
+
+            // Restore body scroll
+            if (opts.modal) {
+                unlockScroll();
+            }
+
+            // Call callbacks
+            if (typeof opts.onClose === 'function') {
+                try {
+                    opts.onClose(result);
+                } catch (e) {
+                    console.error('Error in onClose callback:', e);
+                }
+            }
+
+            if (resolvePromise) {
+                resolvePromise(result);
+            }
+
+            dispatchLifecycle(instance, 'closed', { reason, result });
+        }
+
+        /**
+         * Return focus to returnFocus or the previously focused element. If that was removed, focus
+         * the first focusable element near where it was, staying inside any modal still open.
+         */
+        function restoreFocus() {
+            if (!opts.modal && !focusWithin) return;
+            const target = resolveFocusOption(opts.returnFocus, instance) || previouslyFocused;
+            if (!target || typeof target.focus !== 'function' || target === document.body) return;
+
+            let focusEl = target;
+            if (!target.isConnected) {
+                const top = getTopEntry();
+                const scope = top ? top.instance.dialogEl : document.body;
+                const ancestor = focusPath.find(el => el.isConnected && scope.contains(el)) || scope;
+                focusEl = getFocusable(ancestor)[0] || (top ? scope : null);
+            }
+            if (!focusEl) return;
+
+            try {
+                focusEl.focus();
+            } catch (e) {
+                console.warn('Could not restore focus:', e);
+            }
+        }
+
+        /**
+         * Let drawers and sheets be swiped back towards their edge on small screens
+         */
+        function enableSwipe() {
+            const horizontal = opts.placement === 'left' || opts.placement === 'right';
+            const direction = opts.placement === 'left' || opts.placement === 'top' ? -1 : 1;
+            const transition = dialogEl.style.transition;
+            let start = null;
+            let offset = 0;
+
+            dialogEl.setAttribute('data-swipe', '');
+
+            headerEl.addEventListener('pointerdown', (e) => {
+                if (e.button !== 0 || e.target.closest('button')) return;
+                if (!window.matchMedia || !window.matchMedia(SMALL_SCREEN_QUERY).matches) return;
+
+                start = horizontal ? e.clientX : e.clientY;
+                offset = 0;
+                dialogEl.style.transition = 'none';
+                headerEl.setPointerCapture(e.pointerId);
+            });
+
+            headerEl.addEventListener('pointermove', (e) => {
+                if (start === null) return;
+
+                // Only follow movement towards the edge
+                offset = Math.max(0, ((horizontal ? e.clientX : e.clientY) - start) * direction);
+                dialogEl.style.transform = horizontal
+                    ? `translateX(${offset * direction}px)`
+                    : `translateY(${offset * direction}px)`;
+            });
+
+            /**
+             * Finish the swipe, closing once it passes a third of the dialog
+             */
+            function endSwipe() {
+                if (start === null) return;
+                start = null;
+
+                const size = horizontal ? dialogEl.offsetWidth : dialogEl.offsetHeight;
+                dialogEl.style.transition = transition;
+                dialogEl.style.transform = '';
+                if (offset > Math.max(64, size / 3)) {
+                    hide(false, 'swipe');
+                }
+            }
+
+            headerEl.addEventListener('pointerup', endSwipe);
+            headerEl.addEventListener('pointercancel', endSwipe);
+        }
+
+        // Window state: geometry is in viewport pixels, normalGeometry what maximizing will restore
+        let windowEntry = null;
+        let windowState = 'normal';
+        let geometry = null;
+        let normalGeometry = null;
+        let focusWithin = true;
+
+        /**
+         * Place the window from its saved state, or centred and cascaded from earlier windows,
+         * and wire up dragging, resizing and raising
+         */
+        function setupWindow() {
+            windowEntry = { instance, zIndex, overlayEl };
+            windows.push(windowEntry);
+            raiseModals();
+            updateInert();
+
+            const saved = loadWindow();
+            if (saved) {
+                geometry = { left: saved.left, top: saved.top, width: saved.width, height: saved.height };
+            } else {
+                const width = dialogEl.offsetWidth;
+                const height = dialogEl.offsetHeight;
+                const cascade = ((windows.length - 1) % 6) * 24;
+                geometry = {
+                    left: (window.innerWidth - width) / 2 + cascade,
+                    top: (window.innerHeight - height) / 2 + cascade,
+                    width,
+                    height
+                };
+            }
+            clampGeometry();
+            if (saved && saved.state !== 'normal') {
+                setWindowState(saved.state);
+            } else {
+                applyGeometry();
+                updateWindowButtons();
+            }
+
+            if (opts.draggable) {
+                headerEl.addEventListener('pointerdown', (e) => {
+                    if (e.target.closest('button') || windowState === 'maximized') return;
+                    trackPointer(e, headerEl, (dx, dy, start) => {
+                        geometry.left = start.left + dx;
+                        geometry.top = start.top + dy;
+                    });
+                });
+            }
+            if (opts.maximizable) {
+                headerEl.addEventListener('dblclick', (e) => {
+                    if (e.target.closest('button')) return;
+                    setWindowState(windowState === 'maximized' ? 'normal' : 'maximized');
+                });
+            }
+            if (opts.resizable) {
+                WINDOW_EDGES.forEach(edge => {
+                    const handleEl = document.createElement('div');
+                    handleEl.className = 'cg-window-handle';
+                    handleEl.setAttribute('data-edge', edge);
+                    handleEl.setAttribute('aria-hidden', 'true');
+                    handleEl.addEventListener('pointerdown', (e) => trackPointer(e, handleEl, (dx, dy, start) => {
+                        resizeEdge(edge, dx, dy, start);
+                    }));
+                    dialogEl.appendChild(handleEl);
+                });
+            }
+
+            // Pointer or keyboard focus raises the window
+            dialogEl.addEventListener('pointerdown', bringToFront, true);
+            dialogEl.addEventListener('focusin', bringToFront);
+            dialogEl.addEventListener('keydown', (e) => {
+                if ((e.key === 'Escape' || e.key === 'Esc') && opts.closeOnEsc) {
+                    e.preventDefault();
+                    hide(false, 'escape');
+                }
+            });
+            window.addEventListener('resize', handleViewportResize);
+        }
+
+        /**
+         * Move a resize edge, keeping the opposite edges where they are
+         * @param {string} edge - One of WINDOW_EDGES
+         * @param {number} dx - Horizontal pointer movement
+         * @param {number} dy - Vertical pointer movement
+         * @param {Object} start - Geometry when the resize began
+         */
+        function resizeEdge(edge, dx, dy, start) {
+            if (edge.includes('e')) {
+                geometry.width = clamp(start.width + dx, WINDOW_MIN_SIZE.width, window.innerWidth - start.left);
+            }
+            if (edge.includes('s')) {
+                geometry.height = clamp(start.height + dy, WINDOW_MIN_SIZE.height, window.innerHeight - start.top);
+            }
+            if (edge.includes('w')) {
+                geometry.width = clamp(start.width - dx, WINDOW_MIN_SIZE.width, start.left + start.width);
+                geometry.left = start.left + start.width - geometry.width;
+            }
+            if (edge.includes('n')) {
+                geometry.height = clamp(start.height - dy, WINDOW_MIN_SIZE.height, start.top + start.height);
+                geometry.top = start.top + start.height - geometry.height;
+            }
+        }
+
+        /**
+         * Follow a pointer from pointerdown to release, saving the window state at the end
+         * @param {PointerEvent} e - The pointerdown event
+         * @param {HTMLElement} el - Element capturing the pointer
+         * @param {Function} onMove - (dx, dy, startGeometry) => void, updating geometry
+         */
+        function trackPointer(e, el, onMove) {
+            if (e.button !== 0) return;
+            e.preventDefault();
+
+            const startX = e.clientX;
+            const startY = e.clientY;
+            const start = { ...geometry };
+            if (el.setPointerCapture) {
+                el.setPointerCapture(e.pointerId);
+            }
+            dialogEl.setAttribute('data-dragging', '');
+
+            const move = (moveEvent) => {
+                onMove(moveEvent.clientX - startX, moveEvent.clientY - startY, start);
+                clampGeometry();
+                applyGeometry();
+            };
+            const end = () => {
+                el.removeEventListener('pointermove', move);
+                el.removeEventListener('pointerup', end);
+                el.removeEventListener('pointercancel', end);
+                dialogEl.removeAttribute('data-dragging');
+                saveWindow();
+            };
+            el.addEventListener('pointermove', move);
+            el.addEventListener('pointerup', end);
+            el.addEventListener('pointercancel', end);
+        }
+
+        /**
+         * Keep the window inside the viewport, shrinking it if the viewport is smaller
+         */
+        function clampGeometry() {
+            if (windowState === 'maximized') {
+                geometry = { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+                return;
+            }
+            geometry.width = clamp(geometry.width, Math.min(WINDOW_MIN_SIZE.width, window.innerWidth), window.innerWidth);
+            geometry.height = clamp(geometry.height, Math.min(WINDOW_MIN_SIZE.height, window.innerHeight), window.innerHeight);
+            // Minimized windows only take up their header's height
+            const height = windowState === 'minimized' ? dialogEl.offsetHeight : geometry.height;
+            geometry.left = clamp(geometry.left, 0, window.innerWidth - geometry.width);
+            geometry.top = clamp(geometry.top, 0, window.innerHeight - height);
+        }
+
+        /**
+         * Write the geometry to the dialog's styles
+         */
+        function applyGeometry() {
+            dialogEl.style.left = `${geometry.left}px`;
+            dialogEl.style.top = `${geometry.top}px`;
+            dialogEl.style.width = `${geometry.width}px`;
+            dialogEl.style.height = windowState === 'minimized' ? 'auto' : `${geometry.height}px`;
+        }
+
+        /**
+         * Re-fit the window when the viewport changes size
+         */
+        function handleViewportResize() {
+            clampGeometry();
+            applyGeometry();
+        }
+
+        /**
+         * Minimize, maximize or restore the window
+         * @param {string} state - 'normal' | 'minimized' | 'maximized'
+         */
+        function setWindowState(state) {
+            if (state === windowState) return;
+
+            // Leaving the maximized state goes back to the size from before it
+            if (windowState === 'maximized') {
+                geometry = normalGeometry;
+            }
+            if (state === 'maximized') {
+                normalGeometry = { ...geometry };
+            }
+            windowState = state;
+
+            if (state === 'normal') {
+                dialogEl.removeAttribute('data-window-state');
+            } else {
+                dialogEl.setAttribute('data-window-state', state);
+            }
+            applyGeometry();
+            clampGeometry();
+            applyGeometry();
+            updateWindowButtons();
+            saveWindow();
+        }
+
+        /**
+         * Label the window controls for the current state
+         */
+        function updateWindowButtons() {
+            if (minimizeEl) {
+                const minimized = windowState === 'minimized';
+                minimizeEl.textContent = minimized ? '❐' : '–';
+                minimizeEl.setAttribute('aria-label', minimized ? opts.strings.restore : opts.strings.minimize);
+            }
+            if (maximizeEl) {
+                const maximized = windowState === 'maximized';
+                maximizeEl.textContent = maximized ? '❐' : '□';
+                maximizeEl.setAttribute('aria-label', maximized ? opts.strings.restore : opts.strings.maximize);
+            }
+        }
+
+        /**
+         * Raise the window above the other windows
+         */
+        function bringToFront() {
+            if (!windowEntry || windows[windows.length - 1] === windowEntry) return;
+
+            windowEntry.zIndex = Math.max(...windows.map(other => other.zIndex)) + 1;
+            windows.splice(windows.indexOf(windowEntry), 1);
+            windows.push(windowEntry);
+            overlayEl.style.setProperty('--modal-z-index', windowEntry.zIndex);
+            raiseModals();
+        }
+
+        /**
+         * Read the window's saved state, if it has a persistKey and a valid saved state
+         * @returns {Object|null} { left, top, width, height, state }
+         */
+        function loadWindow() {
+            if (!opts.persistKey) return null;
+            try {
+                const saved = JSON.parse(localStorage.getItem(`ojstl-window:${opts.persistKey}`));
+                const valid = saved && ['left', 'top', 'width', 'height'].every(key => Number.isFinite(saved[key])) &&
+                    ['normal', 'minimized', 'maximized'].includes(saved.state);
+                return valid ? saved : null;
+            } catch (e) {
+                console.warn('Could not read the saved window state:', e);
+                return null;
+            }
+        }
+
+        /**
+         * Save the window's position, size and state under its persistKey
+         */
+        function saveWindow() {
+            if (!opts.persistKey) return;
+            const size = windowState === 'maximized' ? normalGeometry : geometry;
+            try {
+                localStorage.setItem(`ojstl-window:${opts.persistKey}`, JSON.stringify({ ...size, state: windowState }));
+            } catch (e) {
+                console.warn('Could not save the window state:', e);
+            }
+        }
+
+        // Attach event listeners
+        overlayEl.addEventListener('click', handleOverlayClick);
+        if (useDialog) {
+            overlayEl.addEventListener('cancel', handleCancel);
+            overlayEl.addEventListener('close', handleNativeClose);
+        }
+        if (opts.swipeToDismiss && opts.placement !== 'center') {
+            enableSwipe();
+        }
+
+        // Complete instance
+        Object.assign(instance, {
+            hide,
+            overlayEl,
+            dialogEl,
+            shadowRoot: hostEl ? renderRoot : null,
+            promise,
+            opened: openedPromise,
+            update: (newContent) => {
+                const newLoader = toLoader(newContent);
+                if (newLoader) {
+                    loadContent(newLoader);
+                    return;
+                }
+                // A plain update supersedes any load still running
+                loadToken++;
+                if (loadController) {
+                    loadController.abort();
+                    loadController = null;
+                }
+                if (newContent instanceof Node || typeof newContent === 'string') {
+                    setBody(newContent);
+                    announceBody();
+                }
+            },
+            reload: () => {
+                if (loader && loader.retryable) {
+                    loadContent(loader);
+                }
+            }
+        });
+
+        // Only the topmost entry receives keyboard events; windows handle their own
+        const entry = { instance, handleKeydown, zIndex, overlayEl, rootEl: hostEl || overlayEl, dialogLayer: useDialog ? overlayEl : null };
+        if (opts.modal) {
+            pushEntry(entry);
+        } else {
+            setupWindow();
+            Object.assign(instance, {
+                minimize: () => setWindowState('minimized'),
+                maximize: () => setWindowState('maximized'),
+                restore: () => setWindowState('normal'),
+                bringToFront
+            });
+            Object.defineProperty(instance, 'windowState', { get: () => windowState });
+        }
+
+        // Routed modals get their history entry from the route instead
+        if (opts.history && !routeOpening) {
+            bindHistory(instance, location.href, false);
+        }
+
+        // Call onOpen callback
+        if (typeof opts.onOpen === 'function') {
+            try {
+                opts.onOpen(instance);
+            } catch (e) {
+                console.error('Error in onOpen callback:', e);
+            }
+        }
+
+        return instance;
+    }
+
+        /**
+     * Show a modal prompt with an input field.
+     * @param {string} message - The message or label for the input.
+     * @param {Object} options - Modal options, plus input options.
+     *   options.inputType: HTML input type (default 'text')
+     *   options.inputInitial: Initial value (default '')
+     *   options.inputPlaceholder: Input placeholder (default '')
+     *   options.inputLabel: Label for input (default: message arg)
+     *   options.okButtonText / options.cancelButtonText: Button text (default: the locale's OK and Cancel)
+     *   options.resolveOnClose: Always true for prompt.
+     * @returns {Promise<string|null>} Promise resolves with value or null if cancelled.
+     */
+    function promptModal(message, options = {}) {
+        assertDOM('modal.prompt');
+
+        // Result holder, set by OK or Enter
+        let result = null;
+
+        const strings = resolveLocale(options.locale);
+        const opts = normalizeOptions({
+            ...options,
+            resolveOnClose: true,
+            buttons: [
+                { text: options.cancelButtonText || strings.cancel, value: false },
+                {
+                    text: options.okButtonText || strings.ok,
+                    value: true,
+                    variant: 'primary',
+                    onClick: () => { result = inputEl.value; }
+                }
+            ]
+        });
+
+        // Input element
+        const inputType = options.inputType || 'text';
+        const inputInitial = options.inputInitial || '';
+        const inputPlaceholder = options.inputPlaceholder || '';
+        const inputLabel = options.inputLabel || message || opts.title;
+
+        const inputId = `cg-modal-input-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+        const inputEl = document.createElement('input');
+        inputEl.type = inputType;
+        inputEl.value = inputInitial;
+        inputEl.placeholder = inputPlaceholder;
+        inputEl.id = inputId;
+        inputEl.className = 'cg-modal-prompt-input';
+        inputEl.style = 'width: 100%; margin-top: 8px;';
+
+        // Label
+        const labelEl = document.createElement('label');
+        labelEl.htmlFor = inputId;
+        setContent(labelEl, inputLabel, opts.contentMode);
+
+        // Container
+        const container = document.createElement('div');
+        container.appendChild(labelEl);
+        container.appendChild(inputEl);
+
+        // Modal
+        const modalInstance = buildModal(container, {
+            ...opts,
+            autoFocusSelector: '.cg-modal-prompt-input',
+            onClose: (ok) => {
+                if (!ok) result = null;
+                if (typeof opts.onClose === 'function') {
+                    opts.onClose(ok ? result : null);
+                }
+            }
+        });
+
+        // Intercept close to return value or null
+        if (modalInstance.promise) {
+            // Enter submits like OK; Cancel, Esc and the close icon resolve null
+            inputEl.addEventListener('keydown', function (e) {
+                if (e.key === 'Enter') {
+                    result = inputEl.value;
+                    modalInstance.hide(true, 'button');
+                }
+            });
+
+            // Focus input
+            modalInstance.opened.then(() => inputEl.focus());
+
+            return modalInstance.promise.then(ok => (ok ? result : null));
+        }
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Show a modal asking the user to confirm or cancel.
+     * @param {string|HTMLElement} message - The message to display.
+     * @param {Object} options - Modal options, plus button options.
+     *   options.okButtonText: Text for the confirm button (default: the locale's ok)
+     *   options.cancelButtonText: Text for the cancel button (default: the locale's cancel)
+     *   options.variant: Variant of the confirm button (default 'primary')
+     * @returns {Promise<boolean>} Promise resolves with true if confirmed, false otherwise.
+     */
+    function confirmModal(message, options = {}) {
+        const strings = resolveLocale(options.locale);
+        const opts = normalizeOptions({
+            title: strings.confirmTitle,
+            ...options,
+            resolveOnClose: true,
+            buttons: [
+                { text: options.cancelButtonText || strings.cancel, value: false },
+                { text: options.okButtonText || strings.ok, value: true, variant: options.variant || 'primary', autofocus: true }
+            ]
+        });
+
+        const modalInstance = buildModal(message, opts);
+        return modalInstance.promise.then(result => result === true);
+    }
+
+    /**
+     * Show a modal with a message and a single acknowledge button.
+     * @param {string|HTMLElement} message - The message to display.
+     * @param {Object} options - Modal options, plus button options.
+     *   options.okButtonText: Text for the acknowledge button (default: the locale's ok)
+     * @returns {Promise<void>} Promise resolves once the modal is dismissed.
+     */
+    function alertModal(message, options = {}) {
+        const strings = resolveLocale(options.locale);
+        const opts = normalizeOptions({
+            title: strings.alertTitle,
+            ...options,
+            resolveOnClose: true,
+            buttons: [
+                { text: options.okButtonText || strings.ok, value: true, variant: 'primary', autofocus: true }
+            ]
+        });
+
+        const modalInstance = buildModal(message, opts);
+        return modalInstance.promise.then(() => undefined);
+    }
+
+    /**
+     * Build a labelled form control from a field descriptor
+     * @param {Object} field - Field descriptor (see formModal)
+     * @param {string} idSuffix - Suffix for generated element IDs
+     * @returns {Object} Control with its wrapper element, inputs and value accessors
+     */
+    function createFormField(field, idSuffix) {
+        const type = field.type || 'text';
+        const id = `cg-modal-field-${field.name}-${idSuffix}`;
+        const errorId = `${id}-error`;
+        const labelText = field.label || field.name;
+        const choices = (field.options || []).map(choice =>
+            typeof choice === 'object' && choice !== null ? choice : { value: choice, label: String(choice) }
+        );
+        const inputs = [];
+
+        const wrapperEl = document.createElement('div');
+        wrapperEl.className = `cg-modal-field cg-modal-field-${type}`;
+
+        let controlEl;
+        if (type === 'radio') {
+            controlEl = document.createElement('fieldset');
+            const legendEl = document.createElement('legend');
+            legendEl.textContent = labelText;
+            controlEl.appendChild(legendEl);
+
+            choices.forEach((choice, index) => {
+                const optionId = `${id}-${index}`;
+                const optionEl = document.createElement('div');
+                const inputEl = document.createElement('input');
+                inputEl.type = 'radio';
+                inputEl.id = optionId;
+                inputEl.name = id;
+                inputEl.value = String(choice.value);
+                inputEl.checked = field.default !== undefined && String(field.default) === String(choice.value);
+                inputEl.required = Boolean(field.required);
+
+                const optionLabelEl = document.createElement('label');
+                optionLabelEl.htmlFor = optionId;
+                optionLabelEl.textContent = choice.label;
+
+                optionEl.append(inputEl, optionLabelEl);
+                controlEl.appendChild(optionEl);
+                inputs.push(inputEl);
+            });
+            wrapperEl.appendChild(controlEl);
+        } else {
+            const labelEl = document.createElement('label');
+            labelEl.htmlFor = id;
+            labelEl.textContent = labelText;
+
+            if (type === 'select') {
+                controlEl = document.createElement('select');
+                choices.forEach(choice => {
+                    const optionEl = document.createElement('option');
+                    optionEl.value = String(choice.value);
+                    optionEl.textContent = choice.label;
+                    controlEl.appendChild(optionEl);
+                });
+                if (field.default !== undefined) {
+                    controlEl.value = String(field.default);
+                }
+            } else if (type === 'textarea') {
+                controlEl = document.createElement('textarea');
+                controlEl.value = field.default !== undefined ? String(field.default) : '';
+            } else {
+                controlEl = document.createElement('input');
+                controlEl.type = type;
+                if (type === 'checkbox') {
+                    controlEl.checked = Boolean(field.default);
+                } else {
+                    controlEl.value = field.default !== undefined ? String(field.default) : '';
+                }
+            }
+
+            controlEl.id = id;
+            controlEl.name = field.name;
+            controlEl.required = Boolean(field.required);
+            if (field.placeholder && type !== 'select' && type !== 'checkbox') {
+                controlEl.placeholder = field.placeholder;
+            }
+            inputs.push(controlEl);
+
+            if (type === 'checkbox') {
+                wrapperEl.append(controlEl, labelEl);
+            } else {
+                wrapperEl.append(labelEl, controlEl);
+            }
+        }
+
+        // Inline error message, announced and tied to every input
+        const errorEl = document.createElement('div');
+        errorEl.id = errorId;
+        errorEl.className = 'cg-modal-field-error';
+        errorEl.setAttribute('aria-live', 'polite');
+        wrapperEl.appendChild(errorEl);
+        inputs.forEach(el => el.setAttribute('aria-describedby', errorId));
+
+        /**
+         * Read the current value, typed according to the field
+         */
+        function getValue() {
+            if (type === 'radio') {
+                const checked = inputs.find(el => el.checked);
+                if (!checked) return null;
+                const choice = choices[inputs.indexOf(checked)];
+                return choice.value;
+            }
+            if (type === 'checkbox') {
+                return controlEl.checked;
+            }
+            if (type === 'number') {
+                return controlEl.value === '' ? null : Number(controlEl.value);
+            }
+            if (type === 'select') {
+                const choice = choices.find(c => String(c.value) === controlEl.value);
+                return choice ? choice.value : controlEl.value;
+            }
+            return controlEl.value;
+        }
+
+        /**
+         * Show or clear the inline error message
+         * @param {string|null} message
+         */
+        function setError(message) {
+            errorEl.textContent = message || '';
+            inputs.forEach(el => {
+                if (message) {
+                    el.setAttribute('aria-invalid', 'true');
+                } else {
+                    el.removeAttribute('aria-invalid');
+                }
+            });
+        }
+
+        return { field, el: wrapperEl, inputs, getValue, setError, token: 0 };
+    }
+
+    /**
+     * Run required and custom validation for a form control
+     * @param {Object} control - Control from createFormField
+     * @param {Object} values - Current values of the whole form
+     * @param {Object} messages - { required, invalid } fallback messages
+     * @returns {Promise<string|null>} Promise resolves with an error message, or null if valid
+     */
+    function validateFormField(control, values, messages) {
+        const value = control.getValue();
+        if (control.field.required && (value === null || value === '' || value === false)) {
+            return Promise.resolve(messages.required);
+        }
+        if (typeof control.field.validate !== 'function') {
+            return Promise.resolve(null);
+        }
+
+        return Promise.resolve()
+            .then(() => control.field.validate(value, values))
+            .then(message => {
+                if (typeof message === 'string' && message) return message;
+                return message === false ? messages.invalid : null;
+            })
+            .catch(e => {
+                console.error('Error in field validator:', e);
+                return (e && e.message) || messages.invalid;
+            });
+    }
+
+    /**
+     * Show a modal form built from field descriptors.
+     * @param {Object[]} fields - Field descriptors.
+     *   field.name: Key in the resolved object (required)
+     *   field.type: 'text' | 'number' | 'email' | 'select' | 'checkbox' | 'radio' | 'textarea' | 'date' (default 'text')
+     *   field.label: Label text (default: field.name)
+     *   field.default: Initial value
+     *   field.required: Whether a value is required (default false)
+     *   field.validate: (value, values) => message; sync or async, return a string or false to reject
+     *   field.options: Choices for select and radio, as values or { value, label }
+     *   field.placeholder: Placeholder for text-like inputs
+     * @param {Object} options - Modal options, plus form options.
+     *   options.submitButtonText: Text for the submit button (default: the locale's submit)
+     *   options.cancelButtonText: Text for the cancel button (default: the locale's cancel)
+     *   options.requiredMessage: Error for empty required fields (default: the locale's required)
+     *   options.invalidMessage: Error when a validator returns false (default: the locale's invalid)
+     *   options.resolveOnClose: Always true for form.
+     * @returns {Promise<Object|null>} Promise resolves with { name: value } or null if cancelled.
+     */
+    function formModal(fields, options = {}) {
+        assertDOM('modal.form');
+
+        if (!Array.isArray(fields)) {
+            console.warn('Modal form fields must be an array, using none');
+            fields = [];
+        }
+
+        const strings = resolveLocale(options.locale);
+        const messages = {
+            required: options.requiredMessage || strings.required,
+            invalid: options.invalidMessage || strings.invalid
+        };
+
+        // Form and fields
+        const idSuffix = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+        const formEl = document.createElement('form');
+        formEl.className = 'cg-modal-form';
+        formEl.noValidate = true;
+
+        const controls = fields.map(field => createFormField(field, idSuffix));
+        controls.forEach(control => formEl.appendChild(control.el));
+
+        // Result holder
+        let result = null;
+        let submitting = false;
+
+        /**
+         * Collect the current values of every field
+         */
+        function getValues() {
+            return controls.reduce((values, control) => {
+                values[control.field.name] = control.getValue();
+                return values;
+            }, {});
+        }
+
+        /**
+         * Validate one field, ignoring results superseded by a later check
+         */
+        function checkField(control, values = getValues()) {
+            const token = ++control.token;
+            return validateFormField(control, values, messages).then(message => {
+                if (token === control.token) {
+                    control.setError(message);
+                }
+                return message;
+            });
+        }
+
+        /**
+         * Validate every field and close with the values once all pass
+         * @param {string} reason - Close reason passed on to hide()
+         */
+        function submit(reason = 'programmatic') {
+            if (submitting) return;
+            submitting = true;
+            formEl.setAttribute('aria-busy', 'true');
+
+            const values = getValues();
+            Promise.all(controls.map(control => checkField(control, values))).then(errors => {
+                submitting = false;
+                formEl.removeAttribute('aria-busy');
+
+                const firstInvalid = controls.find((control, index) => errors[index]);
+                if (firstInvalid) {
+                    firstInvalid.inputs[0].focus();
+                    return;
+                }
+
+                result = values;
+                modalInstance.hide(true, reason);
+            });
+        }
+
+        // Revalidate on change, and live while a field is showing an error
+        controls.forEach(control => {
+            control.inputs.forEach(el => {
+                el.addEventListener('change', () => checkField(control));
+                el.addEventListener('input', () => {
+                    if (el.getAttribute('aria-invalid') === 'true') {
+                        checkField(control);
+                    }
+                });
+            });
+        });
+
+        // Submit on Enter (outside textareas) or native form submission
+        formEl.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') {
+                e.preventDefault();
+                submit();
+            }
+        });
+        formEl.addEventListener('submit', function (e) {
+            e.preventDefault();
+            submit();
+        });
+
+        const opts = normalizeOptions({
+            title: strings.formTitle,
+            ...options,
+            resolveOnClose: true,
+            buttons: [
+                { text: options.cancelButtonText || strings.cancel, value: false },
+                {
+                    text: options.submitButtonText || strings.submit,
+                    value: true,
+                    variant: 'primary',
+                    onClick: () => {
+                        submit('button');
+                        return false;
+                    }
+                }
+            ]
+        });
+
+        // Modal
+        const modalInstance = buildModal(formEl, {
+            ...opts,
+            autoFocusSelector: opts.autoFocusSelector || '.cg-modal-field input, .cg-modal-field select, .cg-modal-field textarea',
+            onClose: (ok) => {
+                if (typeof opts.onClose === 'function') {
+                    opts.onClose(ok ? result : null);
+                }
+            }
+        });
+
+        return modalInstance.promise.then(ok => (ok ? result : null));
+    }
+
+    /**
+     * Show a modal with a progress bar.
+     * @param {Object} options - Modal options, plus progress options.
+     *   options.label: Text describing the current step (default '')
+     *   options.value: Starting fraction from 0 to 1; null shows an indeterminate bar (default null)
+     *   options.cancellable: Show a Cancel button and let Esc cancel (default false)
+     *   options.cancelButtonText: Text for the cancel button (default: the locale's cancel)
+     *   options.onCancel: Called when the user cancels
+     * @returns {Object} Handle with setProgress(fraction, label), complete(label), cancel(), signal, cancelled, instance and promise.
+     */
+    function progressModal(options = {}) {
+        assertDOM('modal.progress');
+
+        const strings = resolveLocale(options.locale);
+        const cancellable = Boolean(options.cancellable);
+        const abortController = typeof AbortController === 'function' ? new AbortController() : null;
+        let completed = false;
+        let cancelled = false;
+
+        // Label and bar
+        const labelId = `cg-modal-progress-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+        const containerEl = document.createElement('div');
+        const labelEl = document.createElement('div');
+        const trackEl = document.createElement('div');
+        const barEl = document.createElement('div');
+        containerEl.className = 'cg-modal-progress';
+        labelEl.className = 'cg-modal-progress-label';
+        labelEl.id = labelId;
+        trackEl.className = 'cg-modal-progress-track';
+        trackEl.setAttribute('role', 'progressbar');
+        trackEl.setAttribute('aria-valuemin', '0');
+        trackEl.setAttribute('aria-valuemax', '100');
+        trackEl.setAttribute('aria-labelledby', labelId);
+        barEl.className = 'cg-modal-progress-bar';
+        trackEl.appendChild(barEl);
+        containerEl.append(labelEl, trackEl);
+
+        /**
+         * Update the bar and, optionally, the label
+         * @param {number|null} fraction - 0 to 1, or null for indeterminate
+         * @param {string} [label] - Plain text
+         */
+        function setProgress(fraction, label) {
+            if (typeof label === 'string') {
+                labelEl.textContent = label;
+            }
+            if (typeof fraction === 'number' && isFinite(fraction)) {
+                const percent = Math.min(Math.max(fraction, 0), 1) * 100;
+                trackEl.removeAttribute('data-indeterminate');
+                trackEl.setAttribute('aria-valuenow', String(Math.round(percent)));
+                barEl.style.width = `${percent}%`;
+            } else if (fraction === null) {
+                trackEl.setAttribute('data-indeterminate', '');
+                trackEl.removeAttribute('aria-valuenow');
+                barEl.style.width = '';
+            }
+            return handle;
+        }
+
+        const opts = normalizeOptions({
+            title: strings.progressTitle,
+            ...options,
+            resolveOnClose: true,
+            showCloseButton: false,
+            closeOnOverlayClick: false,
+            closeOnEsc: cancellable,
+            buttons: cancellable ? [{ text: options.cancelButtonText || strings.cancel, value: false }] : []
+        });
+
+        const modalInstance = buildModal(containerEl, opts);
+
+        // Any close that isn't complete() is a cancel
+        modalInstance.addEventListener('close', () => {
+            if (completed) return;
+            cancelled = true;
+            if (abortController) {
+                abortController.abort();
+            }
+            if (typeof options.onCancel === 'function') {
+                try {
+                    options.onCancel();
+                } catch (e) {
+                    console.error('Error in onCancel callback:', e);
+                }
+            }
+        });
+
+        const handle = {
+            instance: modalInstance,
+            signal: abortController ? abortController.signal : null,
+            promise: modalInstance.promise.then(() => completed),
+
+            get cancelled() {
+                return cancelled;
+            },
+
+            setProgress,
+
+            /**
+             * Fill the bar and close the modal
+             * @param {string} [label]
+             * @returns {Promise<boolean>}
+             */
+            complete(label) {
+                completed = true;
+                setProgress(1, label);
+                return modalInstance.hide(true);
+            },
+
+            /**
+             * Close the modal as cancelled
+             * @returns {Promise<boolean>}
+             */
+            cancel() {
+                return modalInstance.hide(false);
+            }
+        };
+
+        setProgress(options.value === undefined ? null : options.value, options.label || '');
+        return handle;
+    }
+
+    /**
+     * Open a non-modal window: no overlay, scroll lock or focus trap, and the page stays usable
+     * @param {string|HTMLElement} content - Window content
+     * @param {Object} options - Modal options, plus window options.
+     *   options.draggable: Drag by the header (default true)
+     *   options.resizable: Resize from the edges (default true)
+     *   options.minimizable / options.maximizable: Show the header controls (default true)
+     *   options.persistKey: localStorage key to save position, size and state under (default null)
+     * @returns {Object} Modal instance, plus minimize(), maximize(), restore(), bringToFront() and windowState
+     */
+    function windowModal(content, options = {}) {
+        return buildModal(content, normalizeOptions({ ...options, modal: false }));
+    }
+
+    /**
+     * Open a modal from the URL whenever it matches a route
+     * @param {string} pattern - '#/settings' to match location.hash, or '?modal=settings' (or '?modal') to match a query parameter
+     * @param {Function} factory - (url: URL) => modal instance, called when the URL comes to match
+     * @returns {Function} Removes the route
+     */
+    function routeModal(pattern, factory) {
+        assertDOM('modal.route');
+
+        if (typeof pattern !== 'string' || !/^[#?]./.test(pattern)) {
+            console.warn('Modal routes must be a hash like "#/settings" or a query parameter like "?modal=settings"');
+            return () => {};
+        }
+        if (typeof factory !== 'function') {
+            console.warn('Modal route factory must be a function');
+            return () => {};
+        }
+
+        const route = { pattern, factory, instance: null };
+        if (pattern[0] === '?') {
+            const [name, value] = pattern.slice(1).split('=');
+            route.matches = (url) => url.searchParams.has(name) &&
+                (value === undefined || url.searchParams.get(name) === value);
+            route.unmatch = (url) => url.searchParams.delete(name);
+        } else {
+            route.matches = (url) => url.hash === pattern;
+            route.unmatch = (url) => { url.hash = ''; };
+        }
+
+        routes.push(route);
+        listenForNavigation();
+
+        // Links to the page open the modal once it has loaded
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => openRoute(route, true), { once: true });
+        } else {
+            openRoute(route, true);
+        }
+
+        return () => {
+            const index = routes.indexOf(route);
+            if (index !== -1) {
+                routes.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Read a boolean attribute written as the bare attribute, "true" or "false"
+     * @param {string} value - Attribute value
+     * @returns {boolean|string} Other strings pass through, for options like animation that also take a name
+     */
+    function booleanAttribute(value) {
+        return value === '' || value === 'true' ? true : (value === 'false' ? false : value);
+    }
+
+    /**
+     * Read modal options from an element's attributes: each DEFAULTS key in kebab case, with
+     * booleans written as the bare attribute, "true" or "false"
+     * @param {HTMLElement} el
+     * @returns {Object} Options for the attributes present
+     */
+    function elementOptions(el) {
+        const options = {};
+        Object.keys(DEFAULTS).forEach(key => {
+            if (NON_ATTRIBUTE_OPTIONS.includes(key)) return;
+
+            const name = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+            const value = el.getAttribute(name);
+            if (value === null) return;
+
+            if (typeof DEFAULTS[key] === 'number') {
+                options[key] = Number(value);
+            } else if (typeof DEFAULTS[key] === 'boolean') {
+                options[key] = booleanAttribute(value);
+            } else {
+                options[key] = value;
+            }
+        });
+        return options;
+    }
+
+    /**
+     * Create the <ojstl-modal> element class. Its children stay hidden in the page, then move into
+     * the modal while it is open: slot="footer" children into the footer, the rest into the body.
+     * @returns {Function}
+     */
+    function createModalElement() {
+        return class OjstlModalElement extends HTMLElement {
+            static get observedAttributes() {
+                return ['open'];
+            }
+
+            constructor() {
+                super();
+                // A shadow root without slots keeps the children from rendering in place
+                this.attachShadow({ mode: 'open' });
+            }
+
+            connectedCallback() {
+                if (this.hasAttribute('open')) {
+                    openWhenParsed(this);
+                }
+            }
+
+            disconnectedCallback() {
+                this.close(false);
+            }
+
+            attributeChangedCallback(name, oldValue, newValue) {
+                if (newValue === null) {
+                    this.close(false);
+                } else if (this.isConnected) {
+                    openWhenParsed(this);
+                }
+            }
+
+            /**
+             * The open modal instance, or null
+             * @returns {Object|null}
+             */
+            get instance() {
+                const state = elementState.get(this);
+                return state ? state.instance : null;
+            }
+
+            /**
+             * Open the modal, reading options from the attributes
+             * @returns {Object} Modal instance
+             */
+            open() {
+                const current = elementState.get(this);
+                if (current) return current.instance;
+
+                const children = Array.from(this.childNodes);
+                const body = document.createDocumentFragment();
+                const footer = children.filter(node => node.nodeType === 1 && node.getAttribute('slot') === 'footer');
+                children.forEach(node => {
+                    if (!footer.includes(node)) {
+                        body.appendChild(node);
+                    }
+                });
+
+                // Forward instance events, letting a cancelled beforeclose keep the modal open
+                const on = {};
+                ELEMENT_EVENTS.forEach(type => {
+                    on[type] = (e) => {
+                        if (type === 'close') {
+                            this.removeAttribute('open');
+                        } else if (type === 'closed') {
+                            elementState.delete(this);
+                            this.append(...children);
+                        }
+                        const event = new CustomEvent(type, { detail: e.detail, cancelable: e.cancelable });
+                        if (!this.dispatchEvent(event)) {
+                            e.preventDefault();
+                        }
+                    };
+                });
+
+                const instance = buildModal(body, normalizeOptions({ ...elementOptions(this), on }));
+                if (footer.length > 0) {
+                    const footerEl = instance.dialogEl.querySelector('.cg-modal-footer');
+                    footerEl.textContent = '';
+                    footerEl.append(...footer);
+                }
+                elementState.set(this, { instance, children });
+                this.setAttribute('open', '');
+                return instance;
+            }
+
+            /**
+             * Close the modal
+             * @param {*} result - Passed on to the close events
+             * @returns {Promise<boolean>} Resolves true once closed, false if the close was prevented
+             */
+            close(result = true) {
+                const state = elementState.get(this);
+                return state ? state.instance.hide(result, 'programmatic') : Promise.resolve(false);
+            }
+        };
+    }
+
+    /**
+     * Handle data-ojstl-open="#selector" and data-ojstl-close[="result"] triggers for the whole page
+     * @param {MouseEvent} e
+     */
+    function handleTriggerClick(e) {
+        // The composed path reaches triggers inside isolated modals
+        const path = e.composedPath ? e.composedPath() : [e.target];
+        const trigger = path.find(node => node.nodeType === 1 &&
+            (node.hasAttribute('data-ojstl-open') || node.hasAttribute('data-ojstl-close')));
+        if (!trigger) return;
+
+        if (trigger.hasAttribute('data-ojstl-open')) {
+            const selector = trigger.getAttribute('data-ojstl-open');
+            let target = null;
+            try {
+                target = document.querySelector(selector);
+            } catch (err) {
+                // Reported below, like a selector that matches nothing
+            }
+            if (!target || target.localName !== 'ojstl-modal' || typeof target.open !== 'function') {
+                console.warn(`No <ojstl-modal> matches "${selector}"`);
+                return;
+            }
+            e.preventDefault();
+            target.open();
+            return;
+        }
+
+        // Close triggers close the modal or window they are in
+        const owner = stack.concat(windows).find(other => path.includes(other.instance.dialogEl));
+        if (!owner) return;
+        e.preventDefault();
+        owner.instance.hide(booleanAttribute(trigger.getAttribute('data-ojstl-close')), 'button');
+    }
+
+    /**
+     * Open an <ojstl-modal>, waiting until the page has been parsed so its children are all there
+     * @param {HTMLElement} el
+     */
+    function openWhenParsed(el) {
+        if (document.readyState !== 'loading') {
+            el.open();
+            return;
+        }
+        document.addEventListener('DOMContentLoaded', () => {
+            if (el.isConnected && el.hasAttribute('open')) {
+                el.open();
+            }
+        }, { once: true });
+    }
+
+    /**
+     * Handle data-ojstl-open and data-ojstl-close clicks anywhere on the page, once
+     */
+    function bindTriggers() {
+        assertDOM('modal.bindTriggers');
+        if (listeningForTriggers) return;
+        listeningForTriggers = true;
+        document.addEventListener('click', handleTriggerClick);
+    }
+
+    /**
+     * Register the <ojstl-modal> element and bind the click triggers; a second copy of the library
+     * reuses an element already registered
+     */
+    function defineElement() {
+        assertDOM('modal.defineElement');
+        bindTriggers();
+        if (typeof customElements !== 'undefined' && !customElements.get('ojstl-modal')) {
+            customElements.define('ojstl-modal', createModalElement());
+        }
+    }
+
+    /**
+     * Open every registered route the URL matches
+     * @param {boolean} landing - The page has just loaded on this URL
+     */
+    function openRoutes(landing) {
+        routes.forEach(route => openRoute(route, landing));
+    }
+
+    /**
+     * Open a route's modal if the URL matches and it isn't open already
+     * @param {Object} route
+     * @param {boolean} landing - On page load the entry is split in two, so Back closes the modal instead of leaving
+     */
+    function openRoute(route, landing) {
+        if (route.instance || routes.indexOf(route) === -1) return;
+
+        const url = new URL(location.href);
+        if (!route.matches(url)) return;
+
+        let instance = null;
+        routeOpening = true;
+        try {
+            instance = route.factory(new URL(url.href));
+        } catch (e) {
+            console.error('Error in modal route factory:', e);
+        } finally {
+            routeOpening = false;
+        }
+        if (!instance || typeof instance.hide !== 'function' || typeof instance.addEventListener !== 'function') {
+            console.warn(`Modal route "${route.pattern}" factory must return a modal instance`);
+            return;
+        }
+
+        route.instance = instance;
+        instance.addEventListener('close', () => { route.instance = null; });
+
+        if (landing) {
+            const base = new URL(url.href);
+            route.unmatch(base);
+            history.replaceState(history.state, '', base.href);
+        }
+        bindHistory(instance, url.href, !landing);
+    }
+
+    /**
+     * Create a timeout that can be paused and resumed
+     * @param {Function} callback - Called once the full duration has elapsed
+     * @param {number} duration - Duration in milliseconds
+     * @returns {Object} Timer with pause(), resume() and clear()
+     */
+    function createPausableTimer(callback, duration) {
+        let remaining = duration;
+        let startedAt = 0;
+        let timerId = null;
+
+        function resume() {
+            if (timerId !== null || remaining <= 0) return;
+            startedAt = Date.now();
+            timerId = setTimeout(() => {
+                timerId = null;
+                remaining = 0;
+                callback();
+            }, remaining);
+        }
+
+        function pause() {
+            if (timerId === null) return;
+            clearTimeout(timerId);
+            timerId = null;
+            remaining -= Date.now() - startedAt;
+        }
+
+        function clear() {
+            clearTimeout(timerId);
+            timerId = null;
+            remaining = 0;
+        }
+
+        return { pause, resume, clear };
+    }
+
+    /**
+     * Get or create the visually hidden live region used for announcements
+     * @returns {HTMLElement}
+     */
+    function getLiveRegion() {
+        if (!liveRegionEl || !liveRegionEl.isConnected) {
+            liveRegionEl = document.createElement('div');
+            liveRegionEl.id = 'cg-live-region';
+            liveRegionEl.className = 'cg-live-region';
+            liveRegionEl.setAttribute('aria-live', 'polite');
+            liveRegionEl.setAttribute('aria-atomic', 'true');
+            getLayerRoot().appendChild(liveRegionEl);
+        }
+        return liveRegionEl;
+    }
+
+    /**
+     * Announce a message to assistive technology
+     * @param {string} message - Text to announce
+     * @param {boolean} assertive - Interrupt the current announcement
+     */
+    function announce(message, assertive = false) {
+        const regionEl = getLiveRegion();
+        regionEl.setAttribute('aria-live', assertive ? 'assertive' : 'polite');
+        regionEl.textContent = '';
+        // Changing the text on a later tick makes repeated messages announce again
+        setTimeout(() => { regionEl.textContent = message; }, 50);
+    }
+
+    /**
+     * Get or create the container for a toast position
+     * @param {string} position
+     * @param {number} zIndex
+     * @returns {HTMLElement}
+     */
+    function getToastContainer(position, zIndex, label) {
+        let containerEl = toastContainers[position];
+        if (!containerEl || !containerEl.isConnected) {
+            containerEl = document.createElement('div');
+            containerEl.className = 'cg-toast-container';
+            containerEl.setAttribute('data-position', position);
+            containerEl.setAttribute('role', 'region');
+            getLayerRoot().appendChild(containerEl);
+            toastContainers[position] = containerEl;
+        }
+        containerEl.setAttribute('aria-label', label);
+        containerEl.style.setProperty('--modal-z-index', zIndex);
+        return containerEl;
+    }
+
+    /**
+     * Normalize and validate toast options
+     * @param {Object} options - User provided options
+     * @returns {Object} Normalized options
+     */
+    function normalizeToastOptions(options = {}) {
+        if (typeof options !== 'object' || options === null) {
+            console.warn('Toast options must be an object, using defaults');
+            return normalizeToastOptions({});
+        }
+
+        const opts = { ...toastDefaults, ...options };
+
+        if (!TOAST_POSITIONS.includes(opts.position)) {
+            opts.position = TOAST_DEFAULTS.position;
+        }
+
+        if (typeof opts.duration !== 'number' || opts.duration < 0) {
+            opts.duration = TOAST_DEFAULTS.duration;
+        }
+
+        if (typeof opts.maxToasts !== 'number' || opts.maxToasts < 1) {
+            opts.maxToasts = TOAST_DEFAULTS.maxToasts;
+        }
+
+        if (typeof opts.animationDuration !== 'number' || opts.animationDuration < 0) {
+            opts.animationDuration = TOAST_DEFAULTS.animationDuration;
+        }
+
+        opts.theme = normalizeTheme(opts.theme);
+        opts.strings = resolveLocale(opts.locale);
+        opts.dir = normalizeDirection(opts.dir, opts.strings);
+        opts.contentMode = normalizeContentMode(opts.contentMode);
+
+        if (opts.actions !== null && !Array.isArray(opts.actions)) {
+            console.warn('Toast actions must be an array, ignoring');
+            opts.actions = null;
+        }
+
+        return opts;
+    }
+
+    /**
+     * Build and display a toast
+     * @param {string|HTMLElement} message
+     * @param {Object} opts
+     * @returns {Object} Toast instance
+     */
+    function buildToast(message, opts) {
+        assertDOM('toast');
+        injectCSS();
+
+        const containerEl = getToastContainer(opts.position, opts.zIndex, opts.strings.notifications);
+        const toastEl = document.createElement('div');
+        const messageEl = document.createElement('div');
+
+        toastEl.className = `cg-toast ${opts.className}`.trim();
+        toastEl.setAttribute('data-type', opts.type);
+        if (opts.dir) {
+            toastEl.setAttribute('dir', opts.dir);
+        }
+        toastEl.style.setProperty('--modal-duration', `${opts.animationDuration}ms`);
+        applyTheme(toastEl, opts.theme);
+
+        // Setup message
+        messageEl.className = 'cg-toast-message';
+        if (message instanceof Node) {
+            messageEl.appendChild(message);
+        } else if (typeof message === 'string') {
+            setContent(messageEl, message, opts.contentMode);
+        } else {
+            console.warn('Invalid toast message provided');
+        }
+        toastEl.appendChild(messageEl);
+
+        // Setup actions
+        if (opts.actions && opts.actions.length > 0) {
+            const actionsEl = document.createElement('div');
+            actionsEl.className = 'cg-toast-actions';
+            opts.actions.forEach(action => {
+                const buttonEl = document.createElement('button');
+                const value = action.value !== undefined ? action.value : true;
+                buttonEl.type = 'button';
+                buttonEl.className = 'cg-modal-button cg-toast-action';
+                buttonEl.textContent = action.text;
+                buttonEl.addEventListener('click', (e) => {
+                    // onClick may return false to keep the toast open
+                    if (typeof action.onClick === 'function' && action.onClick(e, instance) === false) return;
+                    dismiss(value);
+                });
+                actionsEl.appendChild(buttonEl);
+            });
+            toastEl.appendChild(actionsEl);
+        }
+
+        // Setup dismiss button
+        if (opts.dismissible) {
+            const closeIcon = document.createElement('button');
+            closeIcon.type = 'button';
+            closeIcon.className = 'cg-modal-close-icon';
+            closeIcon.textContent = '✕';
+            closeIcon.setAttribute('aria-label', opts.strings.dismissNotification);
+            closeIcon.addEventListener('click', () => dismiss());
+            toastEl.appendChild(closeIcon);
+        }
+
+        containerEl.appendChild(toastEl);
+
+        // Announce the message
+        announce(messageEl.textContent, opts.type === 'error');
+
+        // Apply animation
+        const motion = Boolean(opts.animation) && !prefersReducedMotion();
+        if (motion) {
+            requestAnimationFrame(() => {
+                requestAnimationFrame(() => toastEl.classList.add('cg-toast-open'));
+            });
+        } else {
+            toastEl.style.transition = 'none';
+            toastEl.classList.add('cg-toast-open');
+        }
+
+        // Auto-dismiss, paused while hovered or focused
+        const timer = opts.duration > 0 ? createPausableTimer(() => dismiss(), opts.duration) : null;
+        let hovered = false;
+        let focused = false;
+
+        /**
+         * Pause or resume the timer to match hover and focus state
+         */
+        function syncTimer() {
+            if (!timer) return;
+            if (hovered || focused) {
+                timer.pause();
+            } else {
+                timer.resume();
+            }
+        }
+
+        toastEl.addEventListener('mouseenter', () => { hovered = true; syncTimer(); });
+        toastEl.addEventListener('mouseleave', () => { hovered = false; syncTimer(); });
+        toastEl.addEventListener('focusin', () => { focused = true; syncTimer(); });
+        toastEl.addEventListener('focusout', (e) => {
+            focused = toastEl.contains(e.relatedTarget);
+            syncTimer();
+        });
+
+        // Promise support
+        let resolvePromise;
+        const promise = new Promise(resolve => { resolvePromise = resolve; });
+        let closing = false;
+
+        /**
+         * Dismiss the toast
+         * @param {*} result - Result to pass to promise
+         */
+        function dismiss(result) {
+            if (closing) return;
+            closing = true;
+            if (timer) {
+                timer.clear();
+            }
+
+            const index = toasts.indexOf(instance);
+            if (index !== -1) {
+                toasts.splice(index, 1);
+            }
+
+            if (motion) {
+                toastEl.classList.remove('cg-toast-open');
+                motionEnd([toastEl]).then(() => cleanup(result));
+            } else {
+                cleanup(result);
+            }
+        }
+
+        /**
+         * Remove the toast and notify listeners
+         */
+        function cleanup(result) {
+            toastEl.remove();
+            autoThemed.delete(toastEl);
+            if (!containerEl.hasChildNodes()) {
+                containerEl.remove();
+            }
+
+            if (typeof opts.onClose === 'function') {
+                try {
+                    opts.onClose(result);
+                } catch (e) {
+                    console.error('Error in onClose callback:', e);
+                }
+            }
+
+            resolvePromise(result);
+        }
+
+        // Create instance
+        const instance = {
+            dismiss,
+            toastEl,
+            promise,
+            position: opts.position,
+            pause: () => timer && timer.pause(),
+            resume: () => syncTimer(),
+            update: (newMessage) => {
+                if (newMessage instanceof Node) {
+                    messageEl.textContent = '';
+                    messageEl.appendChild(newMessage);
+                } else if (typeof newMessage === 'string') {
+                    setContent(messageEl, newMessage, opts.contentMode);
+                }
+                announce(messageEl.textContent, opts.type === 'error');
+            }
+        };
+
+        toasts.push(instance);
+
+        // Drop the oldest toasts in this corner beyond the limit
+        const sameCorner = toasts.filter(t => t.position === opts.position);
+        sameCorner.slice(0, Math.max(0, sameCorner.length - opts.maxToasts)).forEach(t => t.dismiss());
+
+        syncTimer();
+
+        return instance;
+    }
+
+    const LOOP_DEFAULTS = {
+        fixedStep: null, // ms per update, e.g. 1000 / 60; null passes the variable frame dt
+        timeScale: 1,
+        maxDt: 250, // clamp for long gaps such as tab switches
+        autoStart: true,
+        stats: null // true, or a profiler from delta.stats() to share between loops
+    };
+
+    // Frame profiler defaults
+    const STATS_DEFAULTS = {
+        size: 120, // frames kept in the rolling window
+        targetFps: 60, // frames that overrun this budget count as dropped
+        longFrame: 50, // frames longer than this (ms) count as long
+        overlay: false, // show the on-screen overlay immediately
+        position: 'top-left' // 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'
+    };
+
+    /**
+     * Get a high-resolution timestamp in milliseconds
+     * @returns {number}
+     */
+    function now() {
+        return typeof performance !== 'undefined' && typeof performance.now === 'function'
+            ? performance.now()
+            : Date.now();
+    }
+
+    /**
+     * Schedule a callback for the next frame, falling back to a 60Hz timeout without requestAnimationFrame
+     * @param {Function} callback
+     * @returns {Function} Cancels the scheduled callback
+     */
+    function scheduleFrame(callback) {
+        if (typeof requestAnimationFrame === 'function') {
+            const id = requestAnimationFrame(callback);
+            return () => cancelAnimationFrame(id);
+        }
+        const id = setTimeout(() => callback(now()), 1000 / 60);
+        return () => clearTimeout(id);
+    }
+
+    // Shared frame clock: one scheduled frame drives every delta loop, wait.frame and tween, so they stay in step
+    const frameSubscribers = new Set();
+    let cancelClock = null;
+
+    /**
+     * Run every frame subscriber with the same timestamp
+     */
+    function clockFrame() {
+        // Schedule first so an error in a subscriber doesn't stop the clock
+        cancelClock = scheduleFrame(clockFrame);
+
+        const time = now();
+        Array.from(frameSubscribers).forEach(subscriber => {
+            // Skip subscribers removed earlier in this frame
+            if (!frameSubscribers.has(subscriber)) return;
+            try {
+                subscriber(time);
+            } catch (e) {
+                console.error('Error in frame callback:', e);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to the shared frame clock, which runs only while it has subscribers
+     * @param {Function} subscriber - Called with the frame time (ms)
+     * @returns {Function} Unsubscribes
+     */
+    function onFrame(subscriber) {
+        frameSubscribers.add(subscriber);
+        if (!cancelClock) {
+            cancelClock = scheduleFrame(clockFrame);
+        }
+        return () => {
+            frameSubscribers.delete(subscriber);
+            if (frameSubscribers.size === 0 && cancelClock) {
+                cancelClock();
+                cancelClock = null;
+            }
+        };
+    }
+
+    /**
+     * Pick a percentile from sorted samples using the nearest-rank method
+     * @param {number[]} sorted - Ascending samples
+     * @param {number} p - Percentile (0-100)
+     * @returns {number}
+     */
+    function percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+    }
+
+    /**
+     * Create a frame profiler with a rolling window of frame, update and render times
+     * @param {Object} options - Profiler options (see STATS_DEFAULTS)
+     * @returns {Object} Profiler
+     */
+    function createStats(options = {}) {
+        const opts = { ...STATS_DEFAULTS, ...options };
+
+        if (typeof opts.size !== 'number' || opts.size < 2) {
+            console.warn('Stats size must be a number of at least 2, using 120');
+            opts.size = STATS_DEFAULTS.size;
+        }
+        if (typeof opts.targetFps !== 'number' || opts.targetFps <= 0) {
+            console.warn('Stats targetFps must be a positive number, using 60');
+            opts.targetFps = STATS_DEFAULTS.targetFps;
+        }
+
+        const size = Math.floor(opts.size);
+        const budget = 1000 / opts.targetFps;
+        const frameTimes = new Float64Array(size);
+        const updateTimes = new Float64Array(size);
+        const renderTimes = new Float64Array(size);
+        let index = 0;
+        let count = 0;
+        let totalFrames = 0;
+        let longFrames = 0;
+        let droppedFrames = 0;
+        let overlayEl = null;
+        let textEl = null;
+        let lineEl = null;
+        let budgetEl = null;
+        let lastDraw = 0;
+
+        /**
+         * Summarize one ring buffer
+         * @param {Float64Array} samples
+         * @returns {Object} { current, average, min, max, p95, p99 } in ms
+         */
+        function summarize(samples) {
+            const values = Array.from(samples.subarray(0, count)).sort((a, b) => a - b);
+            const sum = values.reduce((total, value) => total + value, 0);
+            return {
+                current: count ? samples[(index - 1 + size) % size] : 0,
+                average: count ? sum / count : 0,
+                min: count ? values[0] : 0,
+                max: count ? values[count - 1] : 0,
+                p95: percentile(values, 95),
+                p99: percentile(values, 99)
+            };
+        }
+
+        /**
+         * Redraw the overlay text and sparkline, at most ten times a second
+         * @param {boolean} force - Redraw even if the last one was recent
+         */
+        function drawOverlay(force) {
+            const time = now();
+            if (!force && time - lastDraw < 100) return;
+            lastDraw = time;
+
+            const report = profiler.report();
+            textEl.textContent = [
+                `${report.fps.toFixed(0)} FPS  ${report.current.toFixed(1)} ms`,
+                `avg ${report.average.toFixed(1)}  p95 ${report.p95.toFixed(1)}  p99 ${report.p99.toFixed(1)}`,
+                `update ${report.update.average.toFixed(1)}  render ${report.render.average.toFixed(1)}`,
+                `long ${report.longFrames}  dropped ${report.droppedFrames}`
+            ].join('\n');
+
+            // Oldest sample on the left; the scale always leaves room above the frame budget
+            const scale = Math.max(budget * 2, report.max);
+            const points = [];
+            for (let i = 0; i < count; i++) {
+                const value = frameTimes[(index - count + i + size) % size];
+                const x = (i + size - count) / (size - 1) * 120;
+                const y = 30 - Math.min(value / scale, 1) * 30;
+                points.push(`${x.toFixed(1)},${y.toFixed(1)}`);
+            }
+            lineEl.setAttribute('points', points.join(' '));
+            const budgetY = (30 - budget / scale * 30).toFixed(1);
+            budgetEl.setAttribute('y1', budgetY);
+            budgetEl.setAttribute('y2', budgetY);
+        }
+
+        const profiler = {
+            get overlayVisible() {
+                return overlayEl !== null;
+            },
+
+            /**
+             * Record one frame
+             * @param {number} frameTime - ms since the previous frame
+             * @param {number} updateTime - ms spent in update
+             * @param {number} renderTime - ms spent in render
+             */
+            record(frameTime, updateTime = 0, renderTime = 0) {
+                frameTimes[index] = frameTime;
+                updateTimes[index] = updateTime;
+                renderTimes[index] = renderTime;
+                index = (index + 1) % size;
+                count = Math.min(count + 1, size);
+                totalFrames++;
+
+                if (frameTime > opts.longFrame) {
+                    longFrames++;
+                }
+                droppedFrames += Math.max(0, Math.round(frameTime / budget) - 1);
+
+                if (overlayEl) {
+                    drawOverlay(false);
+                }
+                return profiler;
+            },
+
+            /**
+             * Summarize the rolling window
+             * @returns {Object} Frame time stats (ms) with fps, update and render stats, and frame counts since reset
+             */
+            report() {
+                const frame = summarize(frameTimes);
+                return {
+                    ...frame,
+                    fps: frame.average > 0 ? 1000 / frame.average : 0,
+                    frames: totalFrames,
+                    longFrames,
+                    droppedFrames,
+                    update: summarize(updateTimes),
+                    render: summarize(renderTimes)
+                };
+            },
+
+            /**
+             * Clear the window and counters
+             */
+            reset() {
+                index = 0;
+                count = 0;
+                totalFrames = 0;
+                longFrames = 0;
+                droppedFrames = 0;
+                if (overlayEl) {
+                    drawOverlay(true);
+                }
+                return profiler;
+            },
+
+            /**
+             * Show the on-screen overlay
+             */
+            showOverlay() {
+                if (overlayEl) return profiler;
+                assertDOM('The stats overlay');
+                injectCSS();
+
+                const svgNS = 'http://www.w3.org/2000/svg';
+                overlayEl = document.createElement('div');
+                overlayEl.className = 'cg-stats';
+                overlayEl.setAttribute('data-position', opts.position);
+                overlayEl.setAttribute('aria-hidden', 'true');
+
+                textEl = document.createElement('div');
+                const graph = document.createElementNS(svgNS, 'svg');
+                graph.setAttribute('class', 'cg-stats-graph');
+                graph.setAttribute('viewBox', '0 0 120 30');
+                graph.setAttribute('preserveAspectRatio', 'none');
+                budgetEl = document.createElementNS(svgNS, 'line');
+                budgetEl.setAttribute('x1', '0');
+                budgetEl.setAttribute('x2', '120');
+                lineEl = document.createElementNS(svgNS, 'polyline');
+                graph.appendChild(budgetEl);
+                graph.appendChild(lineEl);
+
+                overlayEl.appendChild(textEl);
+                overlayEl.appendChild(graph);
+                getLayerRoot().appendChild(overlayEl);
+                statsOverlays.add(overlayEl);
+                drawOverlay(true);
+                return profiler;
+            },
+
+            /**
+             * Remove the on-screen overlay
+             */
+            hideOverlay() {
+                if (overlayEl) {
+                    overlayEl.remove();
+                    statsOverlays.delete(overlayEl);
+                    overlayEl = textEl = lineEl = budgetEl = null;
+                }
+                return profiler;
+            },
+
+            /**
+             * Show or hide the overlay
+             * @param {boolean} [force] - true to show, false to hide
+             */
+            toggleOverlay(force) {
+                const show = typeof force === 'boolean' ? force : !overlayEl;
+                return show ? profiler.showOverlay() : profiler.hideOverlay();
+            }
+        };
+
+        if (opts.overlay) {
+            profiler.showOverlay();
+        }
+
+        return profiler;
+    }
+
+    /**
+     * Create a game loop controller
+     * @param {Function} update - Called with dt (ms); with fixedStep, called at that steady rate
+     * @param {Function} render - Called once per frame with (dt, alpha); alpha is the fixed-step interpolation factor
+     * @param {Object} options - Loop options (see LOOP_DEFAULTS)
+     * @returns {Object} Loop controller
+     */
+    function createLoop(update, render, options = {}) {
+        const opts = { ...LOOP_DEFAULTS, ...options };
+
+        if (opts.fixedStep !== null && (typeof opts.fixedStep !== 'number' || opts.fixedStep <= 0)) {
+            console.warn('Loop fixedStep must be a positive number, using variable steps');
+            opts.fixedStep = null;
+        }
+
+        if (typeof opts.maxDt !== 'number' || opts.maxDt <= 0) {
+            opts.maxDt = LOOP_DEFAULTS.maxDt;
+        }
+
+        let unsubscribe = null;
+        let lastTime = 0;
+        let accumulator = 0;
+        let running = false;
+        let paused = false;
+
+        /**
+         * Advance the loop by one frame
+         * @param {number} time - Frame time from the shared clock
+         */
+        function frame(time) {
+            const frameTime = time - lastTime;
+            const dt = Math.min(frameTime, opts.maxDt) * controller.timeScale;
+            const stats = controller.stats;
+            lastTime = time;
+            controller.elapsed += dt;
+            controller.frames++;
+
+            const updateStart = stats ? now() : 0;
+            if (opts.fixedStep) {
+                accumulator += dt;
+                while (accumulator >= opts.fixedStep) {
+                    if (typeof update === 'function') {
+                        update(opts.fixedStep);
+                    }
+                    accumulator -= opts.fixedStep;
+                }
+            } else if (typeof update === 'function') {
+                update(dt);
+            }
+
+            const renderStart = stats ? now() : 0;
+            if (typeof render === 'function') {
+                render(dt, opts.fixedStep ? accumulator / opts.fixedStep : 1);
+            }
+
+            if (stats) {
+                stats.record(frameTime, renderStart - updateStart, now() - renderStart);
+            }
+        }
+
+        /**
+         * Begin scheduling frames from now
+         */
+        function run() {
+            lastTime = now();
+            unsubscribe = onFrame(frame);
+        }
+
+        /**
+         * Stop scheduling frames
+         */
+        function halt() {
+            if (unsubscribe) {
+                unsubscribe();
+                unsubscribe = null;
+            }
+        }
+
+        const controller = {
+            timeScale: typeof opts.timeScale === 'number' ? opts.timeScale : 1,
+            elapsed: 0, // scaled ms since start
+            frames: 0,
+            stats: opts.stats === true ? createStats() : (opts.stats || null),
+
+            get running() {
+                return running;
+            },
+
+            get paused() {
+                return paused;
+            },
+
+            /**
+             * Start the loop, resetting elapsed time
+             */
+            start() {
+                if (running) return controller;
+                running = true;
+                paused = false;
+                accumulator = 0;
+                controller.elapsed = 0;
+                controller.frames = 0;
+                run();
+                return controller;
+            },
+
+            /**
+             * Stop the loop
+             */
+            stop() {
+                running = false;
+                paused = false;
+                halt();
+                return controller;
+            },
+
+            /**
+             * Pause the loop, keeping its elapsed time and fixed-step accumulator
+             */
+            pause() {
+                if (!running || paused) return controller;
+                paused = true;
+                halt();
+                return controller;
+            },
+
+            /**
+             * Resume a paused loop without a jump in dt
+             */
+            resume() {
+                if (!running || !paused) return controller;
+                paused = false;
+                run();
+                return controller;
+            }
+        };
+
+        if (opts.autoStart) {
+            controller.start();
+        }
+
+        return controller;
+    }
+
+    // Duration units, largest first
+    const DURATION_UNITS = [
+        { key: 'w', ms: 604800000, name: 'week' },
+        { key: 'd', ms: 86400000, name: 'day' },
+        { key: 'h', ms: 3600000, name: 'hour' },
+        { key: 'm', ms: 60000, name: 'minute' },
+        { key: 's', ms: 1000, name: 'second' },
+        { key: 'ms', ms: 1, name: 'millisecond' }
+    ];
+
+    const DURATION_ALIASES = {
+        ms: 'ms', msec: 'ms', msecs: 'ms', millisecond: 'ms', milliseconds: 'ms',
+        s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+        m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+        h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+        d: 'd', day: 'd', days: 'd',
+        w: 'w', wk: 'w', wks: 'w', week: 'w', weeks: 'w'
+    };
+
+    const FORMAT_DEFAULTS = {
+        style: 'short', // 'short' ("1h 2m") | 'long' ("1 hour, 2 minutes") | 'clock' ("01:02:03.004")
+        largest: 'h', // 'w' | 'd' | 'h' | 'm' | 's' | 'ms'
+        smallest: 'ms',
+        maxUnits: Infinity,
+        locale: undefined // for 'long', passed to Intl
+    };
+
+    /**
+     * Look up a duration unit by key
+     * @param {string} key
+     * @param {string} fallback - Key used when key is unknown
+     * @returns {number} Index into DURATION_UNITS
+     */
+    function durationUnitIndex(key, fallback) {
+        const index = DURATION_UNITS.findIndex(unit => unit.key === key);
+        return index !== -1 ? index : DURATION_UNITS.findIndex(unit => unit.key === fallback);
+    }
+
+    /**
+     * Format an amount of one unit in words, localized through Intl where available
+     * @param {number} amount
+     * @param {Object} unit - Entry of DURATION_UNITS
+     * @param {string} locale
+     * @returns {string}
+     */
+    function formatLongUnit(amount, unit, locale) {
+        try {
+            return new Intl.NumberFormat(locale, { style: 'unit', unit: unit.name, unitDisplay: 'long' }).format(amount);
+        } catch (e) {
+            return `${amount} ${unit.name}${amount === 1 ? '' : 's'}`;
+        }
+    }
+
+    /**
+     * Format a duration in milliseconds
+     * @param {number} dt - Duration in milliseconds
+     * @param {Object} options - Format options (see FORMAT_DEFAULTS)
+     * @returns {string}
+     */
+    function formatDuration(dt, options = {}) {
+        const opts = { ...FORMAT_DEFAULTS, ...options };
+        if (typeof dt !== 'number' || !isFinite(dt)) return '';
+
+        const largest = durationUnitIndex(opts.largest, FORMAT_DEFAULTS.largest);
+        const smallest = Math.max(largest, durationUnitIndex(opts.smallest, FORMAT_DEFAULTS.smallest));
+        const step = DURATION_UNITS[smallest].ms;
+        let rest = Math.round(Math.abs(dt) / step) * step;
+        const sign = dt < 0 && rest > 0 ? '-' : '';
+
+        if (opts.style === 'clock') {
+            const pad = (n, width) => String(n).padStart(width, '0');
+            const hours = Math.floor(rest / 3600000);
+            const minutes = Math.floor(rest % 3600000 / 60000);
+            const seconds = Math.floor(rest % 60000 / 1000);
+            const clock = `${sign}${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}`;
+            return step < 1000 ? `${clock}.${pad(rest % 1000, 3)}` : clock;
+        }
+
+        let parts = [];
+        DURATION_UNITS.slice(largest, smallest + 1).forEach(unit => {
+            const amount = Math.floor(rest / unit.ms);
+            rest -= amount * unit.ms;
+            if (amount > 0) {
+                parts.push({ amount, unit });
+            }
+        });
+        parts = parts.slice(0, Math.max(1, opts.maxUnits));
+        if (parts.length === 0) {
+            parts.push({ amount: 0, unit: DURATION_UNITS[smallest] });
+        }
+
+        if (opts.style === 'long') {
+            const words = parts.map(part => formatLongUnit(part.amount, part.unit, opts.locale));
+            let joined;
+            try {
+                joined = new Intl.ListFormat(opts.locale, { style: 'long', type: 'unit' }).format(words);
+            } catch (e) {
+                joined = words.join(', ');
+            }
+            return sign + joined;
+        }
+
+        return sign + parts.map(part => `${part.amount}${part.unit.key}`).join(' ');
+    }
+
+    /**
+     * Parse a duration into milliseconds
+     * Accepts numbers (ms), unit lists ("1h 30m", "90s", "1.5d", "2 hours, 5 minutes"),
+     * clock strings ("01:30:00", "02:15.5") and ISO 8601 durations ("PT1H30M", "P1DT12H").
+     * ISO years and months count as 365 and 30 days.
+     * @param {string|number} input
+     * @returns {number} Milliseconds, or NaN if the input can't be parsed
+     */
+    function parseDuration(input) {
+        if (typeof input === 'number') return input;
+        if (typeof input !== 'string') return NaN;
+
+        let str = input.trim();
+        let sign = 1;
+        if (str[0] === '-' || str[0] === '+') {
+            sign = str[0] === '-' ? -1 : 1;
+            str = str.slice(1).trim();
+        }
+        if (!str) return NaN;
+
+        // Plain number of milliseconds
+        if (/^\d*\.?\d+$/.test(str)) {
+            return sign * Number(str);
+        }
+
+        // ISO 8601 duration
+        const num = '(\\d+(?:[.,]\\d+)?)';
+        const iso = new RegExp(`^P(?:${num}Y)?(?:${num}M)?(?:${num}W)?(?:${num}D)?(?:T(?:${num}H)?(?:${num}M)?(?:${num}S)?)?$`, 'i').exec(str);
+        if (iso) {
+            if (/^P$|T$/i.test(str)) return NaN;
+            const factors = [31536000000, 2592000000, 604800000, 86400000, 3600000, 60000, 1000];
+            return sign * factors.reduce((total, factor, i) =>
+                total + (iso[i + 1] ? Number(iso[i + 1].replace(',', '.')) * factor : 0), 0);
+        }
+
+        // Clock: h:mm:ss or mm:ss, with optional fractional seconds
+        const clock = /^(\d+):(\d{1,2})(?::(\d{1,2}))?(\.\d+)?$/.exec(str);
+        if (clock) {
+            const fields = clock[3] !== undefined
+                ? [Number(clock[1]), Number(clock[2]), Number(clock[3])]
+                : [0, Number(clock[1]), Number(clock[2])];
+            const seconds = fields[2] + (clock[4] ? Number(clock[4]) : 0);
+            return sign * (fields[0] * 3600000 + fields[1] * 60000 + seconds * 1000);
+        }
+
+        // Unit list
+        const token = /\s*(\d*\.?\d+)\s*([a-z]+)\s*,?/giy;
+        let total = 0;
+        let match;
+        while (token.lastIndex < str.length && (match = token.exec(str))) {
+            const unit = DURATION_ALIASES[match[2].toLowerCase()];
+            if (!unit) return NaN;
+            total += Number(match[1]) * DURATION_UNITS[durationUnitIndex(unit)].ms;
+        }
+        if (!match || token.lastIndex !== str.length) return NaN;
+
+        return sign * total;
+    }
+
+    const delta = {
+        tick: function (update, render, options) {
+            return createLoop(update, render, options);
+        },
+        toString: function (dt, options) {
+            return formatDuration(dt, options);
+        },
+        parse: function (input) {
+            return parseDuration(input);
+        },
+        stats: function (options) {
+            return createStats(options);
+        }
+    };
+
+    /**
+     * Accept milliseconds or a duration string wherever a time is expected
+     * @param {number|string} value
+     * @returns {number} Milliseconds
+     */
+    function toMilliseconds(value) {
+        return typeof value === 'string' ? parseDuration(value) : value;
+    }
+
+    /**
+     * Create an error with a DOMException-style name, such as AbortError or TimeoutError
+     * @param {string} message
+     * @param {string} name
+     * @returns {Error}
+     */
+    function createNamedError(message, name) {
+        if (typeof DOMException === 'function') {
+            return new DOMException(message, name);
+        }
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * Create a promise that rejects with an AbortError when the signal fires
+     * @param {AbortSignal} signal - Optional signal
+     * @param {Function} executor - (resolve, reject) => cleanup; cleanup cancels pending work
+     * @returns {Promise}
+     */
+    function abortable(signal, executor) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createNamedError('The wait was aborted.', 'AbortError'));
+                return;
+            }
+
+            let cleanup = null;
+            const onAbort = () => {
+                if (typeof cleanup === 'function') {
+                    cleanup();
+                }
+                reject(createNamedError('The wait was aborted.', 'AbortError'));
+            };
+            const settle = (fn) => (value) => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                fn(value);
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            cleanup = executor(settle(resolve), settle(reject));
+        });
+    }
+
+    const wait = {
+        ms: (ms, options = {}) => abortable(options.signal, resolve => {
+            const id = setTimeout(resolve, toMilliseconds(ms));
+            return () => clearTimeout(id);
+        }),
+        s: (s, options) => wait.ms(s * 1000, options),
+        m: (m, options) => wait.s(m * 60, options),
+        h: (h, options) => wait.m(h * 60, options),
+        d: (d, options) => wait.h(d * 24, options),
+        frame: (frames = 1, options = {}) => abortable(options.signal, resolve => {
+            let count = 0;
+            const unsubscribe = onFrame(() => {
+                count++;
+                if (count >= frames) {
+                    unsubscribe();
+                    resolve();
+                }
+            });
+            return unsubscribe;
+        }),
+
+        /**
+         * Wait until a predicate returns a truthy value, polling at an interval
+         * @param {Function} predicate - Sync or async; its truthy result resolves the wait
+         * @param {Object} options - { interval = 50, timeout, signal }
+         * @returns {Promise<*>} Rejects with a TimeoutError once timeout (ms) passes
+         */
+        until: (predicate, options = {}) => abortable(options.signal, (resolve, reject) => {
+            const interval = typeof options.interval === 'number' ? options.interval : 50;
+            let pollId = null;
+            let deadlineId = null;
+            let stopped = false;
+
+            const stop = () => {
+                stopped = true;
+                clearTimeout(pollId);
+                clearTimeout(deadlineId);
+            };
+
+            const check = () => {
+                Promise.resolve()
+                    .then(predicate)
+                    .then(result => {
+                        if (stopped) return;
+                        if (result) {
+                            stop();
+                            resolve(result);
+                        } else {
+                            pollId = setTimeout(check, interval);
+                        }
+                    }, error => {
+                        if (stopped) return;
+                        stop();
+                        reject(error);
+                    });
+            };
+
+            if (options.timeout !== undefined) {
+                deadlineId = setTimeout(() => {
+                    stop();
+                    reject(createNamedError('The condition was not met in time.', 'TimeoutError'));
+                }, toMilliseconds(options.timeout));
+            }
+            check();
+            return stop;
+        }),
+
+        /**
+         * Wait for an event from a DOM EventTarget or a Node-style emitter
+         * @param {EventTarget|Object} target
+         * @param {string} type - Event type
+         * @param {Object} options - { filter, timeout, signal }; filter(event) must return true to resolve
+         * @returns {Promise<*>} Resolves with the event; rejects with a TimeoutError once timeout (ms) passes
+         */
+        event: (target, type, options = {}) => abortable(options.signal, (resolve, reject) => {
+            let deadlineId = null;
+            const useDOM = typeof target.addEventListener === 'function';
+
+            const stop = () => {
+                clearTimeout(deadlineId);
+                if (useDOM) {
+                    target.removeEventListener(type, listener);
+                } else {
+                    (target.off || target.removeListener).call(target, type, listener);
+                }
+            };
+
+            function listener(event) {
+                if (typeof options.filter === 'function' && !options.filter(event)) return;
+                stop();
+                resolve(event);
+            }
+
+            if (useDOM) {
+                target.addEventListener(type, listener);
+            } else {
+                target.on(type, listener);
+            }
+
+            if (options.timeout !== undefined) {
+                deadlineId = setTimeout(() => {
+                    stop();
+                    reject(createNamedError(`No "${type}" event was received in time.`, 'TimeoutError'));
+                }, toMilliseconds(options.timeout));
+            }
+            return stop;
+        }),
+
+        /**
+         * Settle with a promise, or reject with a TimeoutError if it takes longer than ms
+         * @param {Promise} promise
+         * @param {number|string} ms - Milliseconds or a duration string
+         * @param {Object} options - { signal }
+         * @returns {Promise<*>}
+         */
+        timeout: (promise, ms, options = {}) => abortable(options.signal, (resolve, reject) => {
+            const id = setTimeout(() => {
+                reject(createNamedError('The operation timed out.', 'TimeoutError'));
+            }, toMilliseconds(ms));
+
+            Promise.resolve(promise).then(value => {
+                clearTimeout(id);
+                resolve(value);
+            }, error => {
+                clearTimeout(id);
+                reject(error);
+            });
+            return () => clearTimeout(id);
+        }),
+
+        /**
+         * Wait until the browser is idle, falling back to a short timeout without requestIdleCallback
+         * @param {Object} options - { timeout, signal }; timeout is the most the wait may be deferred
+         * @returns {Promise<IdleDeadline>}
+         */
+        idle: (options = {}) => abortable(options.signal, resolve => {
+            if (typeof requestIdleCallback === 'function') {
+                const idleOptions = options.timeout !== undefined ? { timeout: options.timeout } : undefined;
+                const id = requestIdleCallback(resolve, idleOptions);
+                return () => cancelIdleCallback(id);
+            }
+
+            const start = now();
+            const id = setTimeout(() => resolve({
+                didTimeout: false,
+                timeRemaining: () => Math.max(0, 50 - (now() - start))
+            }), 1);
+            return () => clearTimeout(id);
+        })
+    };
+
+    /**
+     * Delay calls until ms have passed without another call
+     * @param {Function} fn
+     * @param {number|string} ms - Milliseconds or a duration string
+     * @param {Object} options - { leading = false, trailing = true }
+     * @returns {Function} Debounced function with cancel(), flush() and pending()
+     */
+    function debounce(fn, ms, options = {}) {
+        const delay = toMilliseconds(ms);
+        const leading = Boolean(options.leading);
+        const trailing = options.trailing !== false;
+        let timerId = null;
+        let lastArgs = null;
+        let lastThis = null;
+        let result;
+
+        function invoke() {
+            const args = lastArgs;
+            const context = lastThis;
+            lastArgs = lastThis = null;
+            result = fn.apply(context, args);
+            return result;
+        }
+
+        function timerExpired() {
+            timerId = null;
+            if (trailing && lastArgs) {
+                invoke();
+            }
+            lastArgs = lastThis = null;
+        }
+
+        function debounced(...args) {
+            const idle = timerId === null;
+            lastArgs = args;
+            lastThis = this;
+
+            clearTimeout(timerId);
+            timerId = setTimeout(timerExpired, delay);
+            if (idle && leading) {
+                return invoke();
+            }
+            return result;
+        }
+
+        debounced.cancel = () => {
+            clearTimeout(timerId);
+            timerId = null;
+            lastArgs = lastThis = null;
+        };
+
+        debounced.flush = () => {
+            if (timerId === null) return result;
+            clearTimeout(timerId);
+            timerId = null;
+            return lastArgs ? invoke() : result;
+        };
+
+        debounced.pending = () => timerId !== null;
+
+        return debounced;
+    }
+
+    /**
+     * Call fn at most once every ms
+     * @param {Function} fn
+     * @param {number|string} ms - Milliseconds or a duration string
+     * @param {Object} options - { leading = true, trailing = true }
+     * @returns {Function} Throttled function with cancel(), flush() and pending()
+     */
+    function throttle(fn, ms, options = {}) {
+        const delay = toMilliseconds(ms);
+        const leading = options.leading !== false;
+        const trailing = options.trailing !== false;
+        let timerId = null;
+        let lastArgs = null;
+        let lastThis = null;
+        let result;
+
+        function invoke() {
+            const args = lastArgs;
+            const context = lastThis;
+            lastArgs = lastThis = null;
+            result = fn.apply(context, args);
+            return result;
+        }
+
+        function timerExpired() {
+            // A trailing call opens a new window so calls stay spaced out
+            if (trailing && lastArgs) {
+                invoke();
+                timerId = setTimeout(timerExpired, delay);
+            } else {
+                timerId = null;
+                lastArgs = lastThis = null;
+            }
+        }
+
+        function throttled(...args) {
+            lastArgs = args;
+            lastThis = this;
 
-        // ARIA attributes
-        dialogEl.setAttribute('role', 'dialog');
-        dialogEl.setAttribute('aria-modal', 'true');
-        dialogEl.setAttribute('tabindex', '-1');
-        dialogEl.setAttribute('aria-labelledby', titleId);
-        dialogEl.setAttribute('aria-describedby', bodyId);
+            if (timerId === null) {
+                if (leading) {
+                    invoke();
+                }
+                timerId = setTimeout(timerExpired, delay);
+            }
+            return result;
+        }
 
-        // Setup header
-        headerEl.className = 'cg-modal-header';
-        titleEl.id = titleId;
-        titleEl.textContent = opts.title;
-        headerEl.appendChild(titleEl);
+        throttled.cancel = () => {
+            clearTimeout(timerId);
+            timerId = null;
+            lastArgs = lastThis = null;
+        };
 
-        // Add close icon button in header
-        if (opts.showCloseButton) {
-            const closeIcon = document.createElement('button');
-            closeIcon.type = 'button';
-            closeIcon.className = 'cg-modal-close-icon';
-            closeIcon.innerHTML = '✕';
-            closeIcon.setAttribute('aria-label', 'Close modal');
-            closeIcon.addEventListener('click', () => hide(false));
-            headerEl.appendChild(closeIcon);
+        throttled.flush = () => {
+            if (timerId === null) return result;
+            clearTimeout(timerId);
+            timerId = null;
+            return lastArgs ? invoke() : result;
+        };
+
+        throttled.pending = () => timerId !== null;
+
+        return throttled;
+    }
+
+    /**
+     * Compute the delay before a retry
+     * @param {number} attempt - Attempt that just failed, starting at 1
+     * @param {Object} opts - Normalized retry options
+     * @returns {number} Milliseconds
+     */
+    function retryDelay(attempt, opts) {
+        let delay = opts.delay;
+        if (opts.backoff === 'exponential') {
+            delay = opts.delay * Math.pow(opts.factor, attempt - 1);
+        } else if (opts.backoff === 'linear') {
+            delay = opts.delay * attempt;
         }
+        delay = Math.min(delay, opts.maxDelay);
 
-        // Setup body
-        bodyEl.id = bodyId;
-        bodyEl.className = 'cg-modal-body';
-        if (content instanceof Node) {
-            bodyEl.appendChild(content);
-        } else if (typeof content === 'string') {
-            bodyEl.innerHTML = content;
-        } else {
-            console.warn('Invalid modal content provided');
-            bodyEl.textContent = '';
+        // Jitter removes up to that fraction of the delay at random; true is full jitter
+        const jitter = opts.jitter === true ? 1 : Number(opts.jitter) || 0;
+        return delay * (1 - Math.min(Math.max(jitter, 0), 1) * Math.random());
+    }
+
+    /**
+     * Call fn until it succeeds, waiting between attempts
+     * @param {Function} fn - (attempt, signal) => value or promise
+     * @param {Object} options
+     *   options.attempts: Total attempts (default 3)
+     *   options.delay: Base delay in ms or a duration string (default 100)
+     *   options.backoff: 'exponential' | 'linear' | 'fixed' (default 'exponential')
+     *   options.factor: Exponential growth factor (default 2)
+     *   options.maxDelay: Largest delay in ms (default 30000)
+     *   options.jitter: false, true, or the fraction of each delay to randomize (default false)
+     *   options.retryIf: (error, attempt) => boolean; return false to give up early
+     *   options.signal: AbortSignal that stops further attempts
+     * @returns {Promise<*>} Resolves with fn's result, or rejects with its last error
+     */
+    function retry(fn, options = {}) {
+        const opts = {
+            attempts: 3,
+            delay: 100,
+            backoff: 'exponential',
+            factor: 2,
+            maxDelay: 30000,
+            jitter: false,
+            retryIf: null,
+            signal: null,
+            ...options
+        };
+        opts.delay = toMilliseconds(opts.delay);
+        opts.maxDelay = toMilliseconds(opts.maxDelay);
+
+        function attempt(n) {
+            if (opts.signal && opts.signal.aborted) {
+                return Promise.reject(createNamedError('The retry was aborted.', 'AbortError'));
+            }
+
+            return Promise.resolve()
+                .then(() => fn(n, opts.signal))
+                .catch(error => {
+                    const aborted = opts.signal && opts.signal.aborted;
+                    const allowed = typeof opts.retryIf !== 'function' || opts.retryIf(error, n);
+                    if (n >= opts.attempts || aborted || !allowed) {
+                        throw error;
+                    }
+                    return wait.ms(retryDelay(n, opts), { signal: opts.signal }).then(() => attempt(n + 1));
+                });
         }
 
-        // Setup footer
-        footerEl.className = 'cg-modal-footer';
-        if (opts.showCloseButton) {
-            const closeButton = document.createElement('button');
-            closeButton.type = 'button';
-            closeButton.className = 'cg-modal-close';
-            closeButton.textContent = opts.closeButtonText;
-            closeButton.setAttribute('aria-label', opts.closeButtonText);
-            closeButton.addEventListener('click', () => hide(true));
-            footerEl.appendChild(closeButton);
+        return attempt(1);
+    }
+
+    /**
+     * Call fn every ms without drifting; a slow or async call is never overlapped, and missed ticks are skipped
+     * @param {number|string} ms - Milliseconds or a duration string
+     * @param {Function} fn - (count) => value or promise
+     * @param {Object} options - { immediate = false, signal }
+     * @returns {Object} Handle with stop(), running and count
+     */
+    function every(ms, fn, options = {}) {
+        const interval = toMilliseconds(ms);
+        if (!(interval > 0)) {
+            throw new RangeError('every() needs a positive interval');
         }
 
-        // Assemble modal
-        dialogEl.append(headerEl, bodyEl, footerEl);
-        overlayEl.appendChild(dialogEl);
-        document.body.appendChild(overlayEl);
+        const start = now();
+        let index = 0;
+        let timerId = null;
+        let stopped = false;
 
-        // Store previous state
-        const previouslyFocused = document.activeElement;
-        const bodyOverflowBackup = document.body.style.overflow;
-        
-        // Save scroll position and lock body
-        if (opts.restoreScroll) {
-            scrollPosition = window.pageYOffset || document.documentElement.scrollTop;
+        function scheduleNext() {
+            if (stopped) return;
+            // Aim for the next whole interval since start so timing errors don't accumulate
+            index = Math.max(index + 1, Math.ceil((now() - start) / interval));
+            timerId = setTimeout(run, Math.max(0, start + index * interval - now()));
         }
-        document.body.style.overflow = 'hidden';
 
-        /**
-         * Focus the initial element
-         */
-        function focusInitial() {
-            if (opts.autoFocusSelector) {
-                const target = dialogEl.querySelector(opts.autoFocusSelector);
-                if (target && typeof target.focus === 'function') {
-                    target.focus();
-                    return;
-                }
+        function run() {
+            timerId = null;
+            handle.count++;
+
+            let result;
+            try {
+                result = fn(handle.count);
+            } catch (e) {
+                console.error('Error in every callback:', e);
             }
-            const focusables = getFocusable(dialogEl);
-            if (focusables.length > 0) {
-                focusables[0].focus();
-            } else {
-                dialogEl.focus();
+            Promise.resolve(result)
+                .catch(e => console.error('Error in every callback:', e))
+                .then(scheduleNext);
+        }
+
+        const handle = {
+            count: 0,
+
+            get running() {
+                return !stopped;
+            },
+
+            /**
+             * Stop calling fn
+             */
+            stop() {
+                stopped = true;
+                clearTimeout(timerId);
+                timerId = null;
+            }
+        };
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                handle.stop();
+                return handle;
             }
+            options.signal.addEventListener('abort', () => handle.stop(), { once: true });
         }
 
-        // Apply animations and focus
-        if (opts.animation) {
-            requestAnimationFrame(() => {
-                overlayEl.classList.add('cg-modal-overlay-open');
-                requestAnimationFrame(() => {
-                    dialogEl.classList.add('cg-modal-open');
-                    focusInitial();
-                });
-            });
+        if (options.immediate) {
+            run();
         } else {
-            overlayEl.style.transition = 'none';
-            dialogEl.style.transition = 'none';
-            overlayEl.classList.add('cg-modal-overlay-open');
-            dialogEl.classList.add('cg-modal-open');
-            focusInitial();
+            scheduleNext();
         }
 
-        /**
-         * Trap focus within modal
-         */
-        function trapFocus(e) {
-            if (!opts.trapFocus || e.key !== 'Tab') return;
+        return handle;
+    }
 
-            const focusables = getFocusable(dialogEl);
-            if (focusables.length === 0) {
-                e.preventDefault();
-                return;
+    const schedule = {
+        debounce,
+        throttle,
+        retry,
+        every
+    };
+
+    // Tween defaults; duration and delay accept ms or a duration string
+    const TWEEN_DEFAULTS = {
+        duration: 400,
+        delay: 0,
+        easing: 'easeOutQuad', // name, function, 'cubic-bezier(...)' or 'steps(...)'
+        repeat: 0, // extra iterations; Infinity loops forever
+        yoyo: false, // reverse direction on every other iteration
+        from: null, // start values; defaults to the target's current values
+        autoplay: true,
+        onStart: null,
+        onUpdate: null, // (value, progress) => void; value is the number or the target
+        onComplete: null
+    };
+
+    /**
+     * Bounce easing, decelerating into the end value
+     * @param {number} t - Progress from 0 to 1
+     * @returns {number}
+     */
+    function bounceOut(t) {
+        const n = 7.5625;
+        const d = 2.75;
+        if (t < 1 / d) return n * t * t;
+        if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+        if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+        return n * (t -= 2.625 / d) * t + 0.984375;
+    }
+
+    // Ease-in curves; the out and in-out variants are derived from them
+    const EASE_IN = {
+        Quad: t => t * t,
+        Cubic: t => t * t * t,
+        Quart: t => t * t * t * t,
+        Quint: t => t * t * t * t * t,
+        Sine: t => 1 - Math.cos(t * Math.PI / 2),
+        Expo: t => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+        Circ: t => 1 - Math.sqrt(1 - t * t),
+        Back: t => 2.70158 * t * t * t - 1.70158 * t * t,
+        Elastic: t => (t === 0 || t === 1 ? t : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * (2 * Math.PI / 3))),
+        Bounce: t => 1 - bounceOut(1 - t)
+    };
+
+    const easing = { linear: t => t };
+    Object.keys(EASE_IN).forEach(name => {
+        const easeIn = EASE_IN[name];
+        easing[`easeIn${name}`] = easeIn;
+        easing[`easeOut${name}`] = t => 1 - easeIn(1 - t);
+        easing[`easeInOut${name}`] = t => (t < 0.5 ? easeIn(t * 2) / 2 : 1 - easeIn((1 - t) * 2) / 2);
+    });
+
+    /**
+     * Create a CSS-style cubic-bezier easing
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     * @returns {Function} (t) => eased progress
+     */
+    function cubicBezier(x1, y1, x2, y2) {
+        // One axis of the curve with fixed end points at 0 and 1
+        const sample = (a1, a2, t) => ((1 - 3 * a2 + 3 * a1) * t + (3 * a2 - 6 * a1)) * t * t + 3 * a1 * t;
+        const slope = (a1, a2, t) => 3 * (1 - 3 * a2 + 3 * a1) * t * t + 2 * (3 * a2 - 6 * a1) * t + 3 * a1;
+
+        return x => {
+            if (x <= 0) return 0;
+            if (x >= 1) return 1;
+
+            // Newton-Raphson is fast for most curves; fall back to bisection when the slope is flat
+            let t = x;
+            for (let i = 0; i < 8; i++) {
+                const error = sample(x1, x2, t) - x;
+                if (Math.abs(error) < 1e-6) return sample(y1, y2, t);
+                const d = slope(x1, x2, t);
+                if (Math.abs(d) < 1e-6) break;
+                t -= error / d;
             }
 
-            const first = focusables[0];
-            const last = focusables[focusables.length - 1];
+            let low = 0;
+            let high = 1;
+            t = x;
+            while (high - low > 1e-6) {
+                if (sample(x1, x2, t) < x) {
+                    low = t;
+                } else {
+                    high = t;
+                }
+                t = (low + high) / 2;
+            }
+            return sample(y1, y2, t);
+        };
+    }
 
-            if (e.shiftKey && document.activeElement === first) {
-                e.preventDefault();
-                last.focus();
-            } else if (!e.shiftKey && document.activeElement === last) {
-                e.preventDefault();
-                first.focus();
+    /**
+     * Create a CSS-style stepped easing
+     * @param {number} count - Number of steps
+     * @param {string} position - 'end' (default) or 'start', where each jump happens
+     * @returns {Function} (t) => eased progress
+     */
+    function steps(count, position = 'end') {
+        const n = Math.max(1, Math.floor(count));
+        return t => {
+            if (t <= 0) return position === 'start' && t === 0 ? 1 / n : 0;
+            if (t >= 1) return 1;
+            const step = Math.floor(t * n) + (position === 'start' ? 1 : 0);
+            return Math.min(step, n) / n;
+        };
+    }
+
+    const CSS_EASINGS = {
+        linear: [0, 0, 1, 1],
+        ease: [0.25, 0.1, 0.25, 1],
+        'ease-in': [0.42, 0, 1, 1],
+        'ease-out': [0, 0, 0.58, 1],
+        'ease-in-out': [0.42, 0, 0.58, 1]
+    };
+
+    /**
+     * Resolve an easing option to a function
+     * @param {string|Function} value - Easing name, CSS timing function string or function
+     * @returns {Function}
+     */
+    function resolveEasing(value) {
+        if (typeof value === 'function') return value;
+
+        const name = String(value).trim();
+        if (easing[name]) return easing[name];
+        if (CSS_EASINGS[name]) return cubicBezier(...CSS_EASINGS[name]);
+
+        const bezier = /^cubic-bezier\(([^)]*)\)$/.exec(name);
+        if (bezier) {
+            const points = bezier[1].split(',').map(Number);
+            if (points.length === 4 && points.every(isFinite)) {
+                return cubicBezier(...points);
             }
         }
 
-        /**
-         * Handle keyboard events
-         */
-        function handleKeydown(e) {
-            if ((e.key === 'Escape' || e.key === 'Esc') && opts.closeOnEsc) {
-                e.preventDefault();
-                hide(false);
+        const stepped = /^steps\(\s*(\d+)\s*(?:,\s*(start|end|jump-start|jump-end)\s*)?\)$/.exec(name);
+        if (stepped) {
+            return steps(Number(stepped[1]), stepped[2] && stepped[2].endsWith('start') ? 'start' : 'end');
+        }
+
+        console.warn(`Unknown easing "${value}". Using linear.`);
+        return easing.linear;
+    }
+
+    /**
+     * Split a numeric value into its number and unit
+     * @param {number|string} value - e.g. 12, '12px', '-0.5em'
+     * @returns {Object|null} { value, unit }, or null when not numeric
+     */
+    function parseNumeric(value) {
+        if (typeof value === 'number') return { value, unit: '' };
+        const match = /^(-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)$/i.exec(String(value).trim());
+        return match ? { value: Number(match[1]), unit: match[2] } : null;
+    }
+
+    // CSS properties that take bare numbers
+    const UNITLESS_CSS = /^(opacity|z-?index|flex(-?grow|-?shrink)?|order|font-?weight|line-?height|scale|--.*)$/i;
+
+    /**
+     * Read and write a CSS property, including custom properties
+     * @param {HTMLElement} el
+     * @param {string} prop - camelCase, kebab-case or --custom
+     * @param {string} [value] - Written when given
+     * @returns {string} The computed value when reading
+     */
+    function cssProperty(el, prop, value) {
+        const custom = prop.startsWith('--');
+        if (value !== undefined) {
+            if (custom || prop.includes('-')) {
+                el.style.setProperty(prop, value);
+            } else {
+                el.style[prop] = value;
             }
-            trapFocus(e);
+            return value;
         }
+        const computed = typeof getComputedStyle === 'function' ? getComputedStyle(el) : el.style;
+        return custom || prop.includes('-') ? computed.getPropertyValue(prop) : computed[prop];
+    }
+
+    /**
+     * Create the time-driven part of a tween, shared by tween() and timelines
+     * @param {number|Object|HTMLElement} target - A number, an object of numbers or an element
+     * @param {number|Object} to - End value, or end values keyed by property
+     * @param {Object} options - See TWEEN_DEFAULTS
+     * @returns {Object} { renderAt(time), reset(), total }
+     */
+    function createTweenCore(target, to, options) {
+        const opts = { ...TWEEN_DEFAULTS, ...options };
+        const duration = Math.max(0, toMilliseconds(opts.duration)) || 0;
+        const delay = Math.max(0, toMilliseconds(opts.delay)) || 0;
+        const iterations = opts.repeat === Infinity ? Infinity : Math.max(0, Math.floor(opts.repeat) || 0) + 1;
+        const ease = resolveEasing(opts.easing);
+        const isNumber = typeof target === 'number';
+        const isElement = !isNumber && target && target.nodeType === 1 && !!target.style;
+
+        let tracks = null;
+        let value = isNumber ? target : null;
+        let started = false;
+        let completed = false;
 
         /**
-         * Handle overlay clicks
+         * Capture start and end values the first time the tween renders, so sequenced tweens start where earlier ones ended
          */
-        function handleOverlayClick(e) {
-            if (opts.closeOnOverlayClick && e.target === overlayEl) {
-                hide(false);
+        function setup() {
+            if (isNumber) {
+                const from = typeof opts.from === 'number' ? opts.from : target;
+                tracks = [{ key: null, from, to: Number(to), unit: '' }];
+                return;
             }
+
+            tracks = [];
+            Object.keys(to || {}).forEach(key => {
+                const end = parseNumeric(to[key]);
+                const fromValue = opts.from && opts.from[key] !== undefined
+                    ? opts.from[key]
+                    : (isElement ? cssProperty(target, key) : target[key]);
+                const start = parseNumeric(fromValue);
+                if (!end || !start) {
+                    console.warn(`Cannot tween "${key}" from "${fromValue}" to "${to[key]}". Skipping it.`);
+                    return;
+                }
+                // Bare numbers take the unit of the other end, so { left: 100 } animates in px
+                const unit = end.unit || start.unit || (isElement && !UNITLESS_CSS.test(key) ? 'px' : '');
+                tracks.push({ key, from: start.value, to: end.value, unit });
+            });
         }
 
-        // Promise support
-        let resolvePromise;
-        const promise = opts.resolveOnClose 
-            ? new Promise(resolve => { resolvePromise = resolve; }) 
-            : null;
+        /**
+         * Write interpolated values to the target
+         * @param {number} eased - Eased progress
+         */
+        function apply(eased) {
+            tracks.forEach(track => {
+                const current = track.from + (track.to - track.from) * eased;
+                if (isNumber) {
+                    value = current;
+                } else if (isElement) {
+                    cssProperty(target, track.key, `${current}${track.unit}`);
+                } else {
+                    target[track.key] = track.unit ? `${current}${track.unit}` : current;
+                }
+            });
+        }
 
         /**
-         * Hide the modal
-         * @param {boolean} result - Result to pass to promise
+         * Render the tween at a point in its own time
+         * @param {number} time - ms since the tween began, including delay
          */
-        function hide(result = true) {
-            if (opts.animation) {
-                dialogEl.classList.remove('cg-modal-open');
-                overlayEl.classList.remove('cg-modal-overlay-open');
-                setTimeout(() => cleanup(result), opts.animationDuration);
+        function renderAt(time) {
+            if (time < delay) {
+                // Seeking back before the start shows the start values again, once they are known
+                if (tracks) apply(ease(0));
+                return;
+            }
+            if (!tracks) setup();
+            if (!started) {
+                started = true;
+                if (typeof opts.onStart === 'function') opts.onStart();
+            }
+
+            const active = time - delay;
+            let iteration;
+            let progress;
+            if (duration === 0 || active >= duration * iterations) {
+                iteration = iterations - 1;
+                progress = 1;
             } else {
-                cleanup(result);
+                iteration = Math.floor(active / duration);
+                progress = (active - iteration * duration) / duration;
+            }
+            if (opts.yoyo && iteration % 2 === 1) {
+                progress = 1 - progress;
+            }
+
+            apply(ease(progress));
+            if (typeof opts.onUpdate === 'function') {
+                opts.onUpdate(isNumber ? value : target, progress);
+            }
+
+            if (time >= core.total && !completed) {
+                completed = true;
+                if (typeof opts.onComplete === 'function') opts.onComplete();
             }
         }
 
-        /**
-         * Clean up modal and restore state
-         */
-        function cleanup(result) {
-            overlayEl.remove();
-            document.removeEventListener('keydown', handleKeydown);
-            
-            // Restore focus
-            if (previouslyFocused && typeof previouslyFocused.focus === 'function') {
-                try {
-                    previouslyFocused.focus();
-                } catch (e) {
-                    console.warn('Could not restore focus:', e);
-                }
+        const core = {
+            total: delay + duration * iterations,
+            autoplay: opts.autoplay !== false,
+            renderAt,
+
+            /**
+             * Allow start and complete callbacks to fire again on replay
+             */
+            reset() {
+                started = false;
+                completed = false;
             }
+        };
 
-            // Restore body scroll
-            document.body.style.overflow = bodyOverflowBackup;
-            if (opts.restoreScroll && scrollPosition > 0) {
-                window.scrollTo(0, scrollPosition);
+        return core;
+    }
+
+    /**
+     * Drive a renderAt(time) function from the shared frame clock
+     * @param {Function} renderAt - Renders at a time in ms
+     * @param {Function} getTotal - Returns the current total duration in ms
+     * @param {Function} reset - Called before replaying from the start
+     * @returns {Object} Thenable controller
+     */
+    function createPlayer(renderAt, getTotal, reset) {
+        let unsubscribe = null;
+        let lastTime = 0;
+        let elapsed = 0;
+        let finished = false;
+        let resolveFinished;
+        let finishedPromise = new Promise(resolve => { resolveFinished = resolve; });
+
+        function render() {
+            renderAt(Math.min(elapsed, getTotal()));
+            if (elapsed >= getTotal()) {
+                halt();
+                finish();
             }
+        }
 
-            // Call callbacks
-            if (typeof opts.onClose === 'function') {
-                try {
-                    opts.onClose(result);
-                } catch (e) {
-                    console.error('Error in onClose callback:', e);
-                }
+        function frame(time) {
+            elapsed += time - lastTime;
+            lastTime = time;
+            render();
+        }
+
+        function halt() {
+            if (unsubscribe) {
+                unsubscribe();
+                unsubscribe = null;
             }
+        }
 
-            if (resolvePromise) {
-                resolvePromise(result);
+        function finish() {
+            if (finished) return;
+            finished = true;
+            // Resolve with nothing; resolving with the thenable controller itself would never settle
+            resolveFinished();
+        }
+
+        const controller = {
+            get playing() {
+                return unsubscribe !== null;
+            },
+
+            get finished() {
+                return finished;
+            },
+
+            get time() {
+                return Math.min(elapsed, getTotal());
+            },
+
+            get duration() {
+                return getTotal();
+            },
+
+            /**
+             * Play from the current time, or from the start once finished
+             */
+            play() {
+                if (finished) {
+                    finished = false;
+                    elapsed = 0;
+                    finishedPromise = new Promise(resolve => { resolveFinished = resolve; });
+                    reset();
+                }
+                if (unsubscribe) return controller;
+                lastTime = now();
+                unsubscribe = onFrame(frame);
+                return controller;
+            },
+
+            /**
+             * Pause, keeping the current time
+             */
+            pause() {
+                halt();
+                return controller;
+            },
+
+            /**
+             * Resume after pause()
+             */
+            resume() {
+                return finished ? controller : controller.play();
+            },
+
+            /**
+             * Stop where it is and settle the controller's promise
+             */
+            stop() {
+                halt();
+                finish();
+                return controller;
+            },
+
+            /**
+             * Jump to a time and render it
+             * @param {number|string} time - ms or a duration string
+             */
+            seek(time) {
+                if (finished) {
+                    controller.play().pause();
+                }
+                elapsed = Math.max(0, toMilliseconds(time) || 0);
+                render();
+                return controller;
+            },
+
+            then(onFulfilled, onRejected) {
+                return finishedPromise.then(onFulfilled, onRejected);
+            },
+
+            catch(onRejected) {
+                return finishedPromise.catch(onRejected);
+            },
+
+            finally(onFinally) {
+                return finishedPromise.finally(onFinally);
             }
+        };
+
+        return controller;
+    }
 
-            modals.delete(instance);
+    /**
+     * Animate a number, an object of numbers or an element's CSS properties
+     * @param {number|Object|HTMLElement} target
+     * @param {number|Object} to - End value for a number; end values keyed by property otherwise
+     * @param {Object} options - See TWEEN_DEFAULTS
+     * @returns {Object} Thenable controller with play, pause, resume, stop and seek
+     */
+    function tween(target, to, options = {}) {
+        const core = createTweenCore(target, to, options);
+        const controller = createPlayer(core.renderAt, () => core.total, core.reset);
+        if (core.autoplay) {
+            controller.play();
         }
+        return controller;
+    }
 
-        // Attach event listeners
-        overlayEl.addEventListener('click', handleOverlayClick);
-        document.addEventListener('keydown', handleKeydown);
+    /**
+     * Create a timeline that sequences or overlaps tweens
+     * @param {Object} options - { autoplay = true, onComplete }
+     * @returns {Object} Thenable controller with add() plus the tween controls
+     */
+    function timeline(options = {}) {
+        const children = [];
+        let end = 0;
+        let lastStart = 0;
+        let completed = false;
 
-        // Create instance
-        const instance = {
-            hide,
-            overlayEl,
-            dialogEl,
-            promise,
-            update: (newContent) => {
-                if (newContent instanceof Node) {
-                    bodyEl.textContent = '';
-                    bodyEl.appendChild(newContent);
-                } else if (typeof newContent === 'string') {
-                    bodyEl.innerHTML = newContent;
+        function renderAt(time) {
+            // Tweens still to come go back to their start values, latest first, so the earliest of several
+            // on the same property wins; tweens under way render after them
+            children.slice().reverse().forEach(child => {
+                if (time < child.offset) {
+                    child.core.renderAt(time - child.offset);
+                }
+            });
+            children.forEach(child => {
+                if (time >= child.offset) {
+                    child.core.renderAt(Math.min(time - child.offset, child.core.total));
                 }
+            });
+            if (time >= end && !completed) {
+                completed = true;
+                if (typeof options.onComplete === 'function') options.onComplete();
+            }
+        }
+
+        function reset() {
+            completed = false;
+            children.forEach(child => child.core.reset());
+        }
+
+        const controller = createPlayer(renderAt, () => end, reset);
+
+        /**
+         * Add a tween to the timeline
+         * @param {number|Object|HTMLElement} target
+         * @param {number|Object} to
+         * @param {Object} tweenOptions - See TWEEN_DEFAULTS; autoplay is ignored
+         * @param {number|string} position - Start time: ms, '+=ms' or '-=ms' from the current end,
+         *   '<' with the previous tween; defaults to the current end
+         */
+        controller.add = (target, to, tweenOptions = {}, position) => {
+            const core = createTweenCore(target, to, tweenOptions);
+            let offset = end;
+            if (position === '<') {
+                offset = lastStart;
+            } else if (typeof position === 'string' && /^[+-]=/.test(position)) {
+                const shift = toMilliseconds(position.slice(2).trim()) || 0;
+                offset = end + (position[0] === '-' ? -shift : shift);
+            } else if (position !== undefined) {
+                offset = toMilliseconds(position) || 0;
             }
+            offset = Math.max(0, offset);
+
+            children.push({ core, offset });
+            lastStart = offset;
+            end = Math.max(end, offset + core.total);
+            completed = false;
+            return controller;
         };
 
-        modals.add(instance);
+        if (options.autoplay !== false) {
+            controller.play();
+        }
 
-        // Call onOpen callback
-        if (typeof opts.onOpen === 'function') {
-            try {
-                opts.onOpen(instance);
-            } catch (e) {
-                console.error('Error in onOpen callback:', e);
-            }
+        return controller;
+    }
+
+    tween.timeline = timeline;
+    tween.easing = easing;
+    tween.cubicBezier = cubicBezier;
+    tween.steps = steps;
+
+    // BigInt values, created without literals so the file still parses where BigInt is missing
+    const BIG = typeof BigInt === 'function'
+        ? { zero: BigInt(0), one: BigInt(1), two: BigInt(2), ten: BigInt(10) }
+        : null;
+
+    // Digits computed beyond those requested, so rounding in the series never reaches them
+    const IR_GUARD_DIGITS = 12;
+
+    /**
+     * Integer square root
+     * @param {bigint} n
+     * @returns {bigint} floor(sqrt(n))
+     */
+    function bigSqrt(n) {
+        if (n < BIG.two) return n;
+        // Start just above the root so Newton's method only steps down
+        let x = BIG.one << BigInt(Math.ceil(n.toString(2).length / 2));
+        let y = (x + n / x) / BIG.two;
+        while (y < x) {
+            x = y;
+            y = (x + n / x) / BIG.two;
         }
+        return x;
+    }
 
-        return instance;
+    /**
+     * arctan(1/x) or artanh(1/x) in fixed point
+     * @param {bigint} x
+     * @param {bigint} one - Fixed-point scale
+     * @param {boolean} hyperbolic - artanh instead of arctan
+     * @returns {bigint}
+     */
+    function inverseTangent(x, one, hyperbolic) {
+        const x2 = x * x;
+        let term = one / x;
+        let sum = term;
+        for (let k = 3, sign = -1; term !== BIG.zero; k += 2, sign = -sign) {
+            term /= x2;
+            const part = term / BigInt(k);
+            sum += hyperbolic || sign > 0 ? part : -part;
+        }
+        return sum;
     }
 
-        /**
-     * Show a modal prompt with an input field.
-     * @param {string} message - The message or label for the input.
-     * @param {Object} options - Modal options, plus input options.
-     *   options.inputType: HTML input type (default 'text')
-     *   options.inputInitial: Initial value (default '')
-     *   options.inputPlaceholder: Input placeholder (default '')
-     *   options.inputLabel: Label for input (default: message arg)
-     *   options.resolveOnClose: Always true for prompt.
-     * @returns {Promise<string|null>} Promise resolves with value or null if cancelled.
+    /**
+     * ln 2 = 2 artanh(1/3)
+     * @param {bigint} one - Fixed-point scale
+     * @returns {bigint}
      */
-    function promptModal(message, options = {}) {
-        const opts = normalizeOptions({
-            ...options,
-            resolveOnClose: true
-        });
+    function bigLn2(one) {
+        return BIG.two * inverseTangent(BigInt(3), one, true);
+    }
 
-        // Input element
-        const inputType = options.inputType || 'text';
-        const inputInitial = options.inputInitial || '';
-        const inputPlaceholder = options.inputPlaceholder || '';
-        const inputLabel = options.inputLabel || message || opts.title;
+    // Fixed-point algorithms for each constant: (one, decimals) => floor(value * one), give or take a few units
+    const IR_CONSTANTS = {
+        // Machin's formula
+        pi: one => BigInt(16) * inverseTangent(BigInt(5), one, false) - BigInt(4) * inverseTangent(BigInt(239), one, false),
 
-        const inputId = `cg-modal-input-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-        const inputEl = document.createElement('input');
-        inputEl.type = inputType;
-        inputEl.value = inputInitial;
-        inputEl.placeholder = inputPlaceholder;
-        inputEl.id = inputId;
-        inputEl.className = 'cg-modal-prompt-input';
-        inputEl.style = 'width: 100%; margin-top: 8px;';
+        // Sum of 1/k!
+        e: one => {
+            let sum = BIG.zero;
+            for (let k = 1, term = one; term !== BIG.zero; k++) {
+                sum += term;
+                term /= BigInt(k);
+            }
+            return sum;
+        },
 
-        // Label
-        const labelEl = document.createElement('label');
-        labelEl.htmlFor = inputId;
-        labelEl.innerHTML = inputLabel;
+        phi: one => (one + bigSqrt(BigInt(5) * one * one)) / BIG.two,
 
-        // Container
-        const container = document.createElement('div');
-        container.appendChild(labelEl);
-        container.appendChild(inputEl);
+        sqrt2: one => bigSqrt(BIG.two * one * one),
 
-        // Result holder
-        let result = null;
+        ln2: bigLn2,
 
-        // Modal
-        const modalInstance = buildModal(container, {
-            ...opts,
-            autoFocusSelector: '.cg-modal-prompt-input',
-            onClose: (ok) => {
-                if (!ok) result = null;
-                if (typeof opts.onClose === 'function') {
-                    opts.onClose(ok ? result : null);
-                }
+        // Brent-McMillan with n = 2^p, so ln n = p ln 2; the error is about e^(-4n)
+        gamma: (one, decimals) => {
+            const p = Math.ceil(Math.log2(decimals * Math.LN10 / 4 + 1));
+            const n2 = BIG.one << BigInt(2 * p);
+            let a = -BigInt(p) * bigLn2(one);
+            let b = one;
+            let u = a;
+            let v = b;
+            for (let k = 1; a !== BIG.zero || b !== BIG.zero; k++) {
+                const bk = BigInt(k);
+                b = b * n2 / (bk * bk);
+                a = (a * n2 / bk + b) / bk;
+                u += a;
+                v += b;
             }
-        });
+            return u * one / v;
+        }
+    };
 
-        // Intercept close to return value or null
-        if (modalInstance.promise) {
-            // Listen for Enter key on input
-            inputEl.addEventListener('keydown', function (e) {
-                if (e.key === 'Enter') {
-                    result = inputEl.value;
-                    modalInstance.hide(true);
-                }
-            });
+    const irCache = {};
 
-            // Listen for modal close button
-            // Already closes with false (cancel) or true (OK)
-            // Override close button to treat as "OK"
-            const closeBtns = modalInstance.dialogEl.querySelectorAll('.cg-modal-close');
-            closeBtns.forEach(btn => {
-                btn.onclick = () => {
-                    result = inputEl.value;
-                    modalInstance.hide(true);
-                };
-            });
+    /**
+     * Get a constant scaled by 10^decimals and floored, caching the most precise result
+     * @param {string} name - Key of IR_CONSTANTS
+     * @param {number} decimals
+     * @returns {bigint}
+     */
+    function irFixed(name, decimals) {
+        if (!BIG) {
+            throw new Error('ir digits need BigInt support');
+        }
+        if (!Object.prototype.hasOwnProperty.call(IR_CONSTANTS, name)) {
+            throw new RangeError(`Unknown constant "${name}"; use one of ${Object.keys(IR_CONSTANTS).join(', ')}`);
+        }
 
-            // Focus input
-            setTimeout(() => inputEl.focus(), opts.animation ? opts.animationDuration : 0);
+        const cached = irCache[name];
+        if (!cached || cached.decimals < decimals + IR_GUARD_DIGITS) {
+            const precision = decimals + IR_GUARD_DIGITS;
+            irCache[name] = { decimals: precision, value: IR_CONSTANTS[name](BIG.ten ** BigInt(precision), precision) };
+        }
 
-            return modalInstance.promise.then(ok => (ok ? result : null));
+        const { decimals: precision, value } = irCache[name];
+        return value / BIG.ten ** BigInt(precision - decimals);
+    }
+
+    /**
+     * Validate a digit or term count
+     * @param {number} n
+     * @param {string} what - Used in the error message
+     */
+    function assertCount(n, what) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new RangeError(`${what} must be a non-negative integer`);
         }
-        return Promise.resolve(null);
     }
 
-    const delta = {
-        tick: function (update, render) {
-            var lastUpdate = Date.now();
-            var myInterval = setInterval(tick, 0);
-            function tick() {
-                var now = Date.now();
-                var dt = now - lastUpdate;
-                lastUpdate = now;
-                update(dt);
-                render(dt); 
-            } 
-            return myInterval;
-        },
-        toString: function (dt) {
-            var s = "";
-            if (dt >= 3600000) {
-                s += Math.floor(dt / 3600000) + "h ";
-                dt = dt % 3600000;
-            }
-            if (dt >= 60000) {
-                s += Math.floor(dt / 60000) + "m "; 
-                dt = dt % 60000;
+    /**
+     * Decimal digits of a constant, truncated
+     * @param {string} name - 'pi' | 'e' | 'phi' | 'sqrt2' | 'ln2' | 'gamma'
+     * @param {number} n - Digits after the decimal point
+     * @returns {string} e.g. digits('pi', 5) is '3.14159'
+     */
+    function digits(name, n) {
+        assertCount(n, 'Digit count');
+        const text = irFixed(name, n).toString().padStart(n + 1, '0');
+        const whole = text.slice(0, text.length - n);
+        return n > 0 ? `${whole}.${text.slice(-n)}` : whole;
+    }
+
+    /**
+     * Floor division for BigInt with a positive divisor
+     * @param {bigint} a
+     * @param {bigint} b
+     * @returns {bigint}
+     */
+    function floorDiv(a, b) {
+        const q = a / b;
+        return a < BIG.zero && q * b !== a ? q - BIG.one : q;
+    }
+
+    /**
+     * Read a number as the exact rational its decimal form shows, so 0.1 is 1/10
+     * @param {number} value - Finite number
+     * @returns {Object} { num, den } as BigInt, den > 0
+     */
+    function decimalToRational(value) {
+        const [mantissa, exponent = '0'] = String(value).toLowerCase().split('e');
+        const [whole, fraction = ''] = mantissa.split('.');
+        let num = BigInt(whole + fraction);
+        let den = BIG.ten ** BigInt(fraction.length);
+        const shift = Number(exponent);
+        if (shift > 0) {
+            num *= BIG.ten ** BigInt(shift);
+        } else if (shift < 0) {
+            den *= BIG.ten ** BigInt(-shift);
+        }
+        return { num, den };
+    }
+
+    /**
+     * Continued fraction terms shared by every value between lo/den and hi/den
+     * @param {bigint} lo
+     * @param {bigint} hi
+     * @param {bigint} den
+     * @param {number} count - Most terms to return
+     * @returns {bigint[]}
+     */
+    function continuedFractionTerms(lo, hi, den, count) {
+        const terms = [];
+        let [a, b, c, d] = [lo, den, hi, den];
+        while (terms.length < count && b !== BIG.zero && d !== BIG.zero) {
+            const term = floorDiv(a, b);
+            if (term !== floorDiv(c, d)) break;
+            terms.push(term);
+            [a, b, c, d] = [b, a - term * b, d, c - term * d];
+        }
+        return terms;
+    }
+
+    /**
+     * Resolve a constant name or a number to bounds for continued fractions
+     * @param {string|number} value
+     * @param {number} decimals - Precision for constants
+     * @returns {Object} { lo, hi, den }
+     */
+    function irBounds(value, decimals) {
+        if (typeof value === 'number') {
+            if (!isFinite(value)) {
+                throw new RangeError('Value must be a finite number');
             }
-            if (dt >= 1000) {
-                s += Math.floor(dt / 1000) + "s ";
-                dt = dt % 1000;
-            } if (dt > 0) {
-                s += dt + "ms";
+            const { num, den } = decimalToRational(value);
+            return { lo: num, hi: num, den, exact: true };
+        }
+        const lo = irFixed(value, decimals);
+        return { lo, hi: lo + BIG.one, den: BIG.ten ** BigInt(decimals), exact: false };
+    }
+
+    /**
+     * Continued fraction of a constant or a number
+     * @param {string|number} value - Constant name (see digits) or a number
+     * @param {number} terms - Number of terms
+     * @returns {number[]} [a0, a1, a2, ...]; shorter for a rational number that ends sooner
+     */
+    function continuedFraction(value, terms) {
+        assertCount(terms, 'Term count');
+        // About one decimal digit per term on average; retry with more precision when the terms run out
+        for (let decimals = terms + 20; ; decimals *= 2) {
+            const { lo, hi, den, exact } = irBounds(value, decimals);
+            const result = continuedFractionTerms(lo, hi, den, terms);
+            if (exact || result.length >= terms) {
+                return result.map(Number);
             }
-            return s.trim();
         }
-    };
+    }
 
-    const wait = {
-        ms: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
-        s: (s) => wait.ms(s * 1000),
-        m: (m) => wait.s(m * 60),
-        h: (h) => wait.m(h * 60),
-        d: (d) => wait.h(d * 24),
-        frame: (frames = 1) => {
-            return new Promise(resolve => {
-                let count = 0;
-                const frameHandler = () => {
-                    count++;
-                    if (count < frames) {
-                        requestAnimationFrame(frameHandler);
-                    } else {
-                        resolve();
-                    }
+    /**
+     * Closest fraction to a constant or a number with a bounded denominator
+     * @param {string|number} value - Constant name (see digits) or a number
+     * @param {number} maxDenominator - Largest denominator allowed (default 1000)
+     * @returns {Object} { numerator, denominator }
+     */
+    function rational(value, maxDenominator = 1000) {
+        if (!(maxDenominator >= 1) || !isFinite(maxDenominator)) {
+            throw new RangeError('maxDenominator must be a finite number of at least 1');
+        }
+
+        const limit = BigInt(Math.floor(maxDenominator));
+        // The value must be known to well beyond 1/limit^2 to tell the candidates apart
+        const { lo, hi, den } = irBounds(value, 2 * limit.toString().length + 20);
+        const terms = continuedFractionTerms(lo, hi, den, Infinity);
+
+        // Convergents p/q; start from p(-2)/q(-2) = 0/1 and p(-1)/q(-1) = 1/0
+        let [p0, q0, p1, q1] = [BIG.zero, BIG.one, BIG.one, BIG.zero];
+        for (const term of terms) {
+            const q2 = q0 + term * q1;
+            if (q2 > limit) {
+                // The best semiconvergent may beat the last convergent
+                const k = (limit - q0) / q1;
+                const p = p0 + k * p1;
+                const q = q0 + k * q1;
+                const error = (a, b) => {
+                    const diff = a * den - lo * b;
+                    return diff < BIG.zero ? -diff : diff;
                 };
-                requestAnimationFrame(frameHandler);
-            });
+                // Compare |p/q - x| with |p1/q1 - x| without dividing
+                if (error(p, q) * q1 < error(p1, q1) * q) {
+                    return { numerator: Number(p), denominator: Number(q) };
+                }
+                break;
+            }
+            [p0, q0, p1, q1] = [p1, q1, p0 + term * p1, q2];
         }
-    };
+        return { numerator: Number(p1), denominator: Number(q1) };
+    }
 
     const ir = {
         phi: (1+Math.sqrt(5))/2,
         pi: Math.PI,
-        e: Math.E
+        e: Math.E,
+        sqrt2: Math.SQRT2,
+        ln2: Math.LN2,
+        gamma: 0.5772156649015329,
+        digits,
+        continuedFraction,
+        rational
     };
 
     // Public API
-    window.modal = {
+    const modal = {
         /**
          * Show a modal
          * @param {string|HTMLElement} content - Modal content
@@ -712,10 +6087,17 @@
         },
 
         /**
-         * Close all open modals
+         * Close all open modals; windows stay open (see closeAllWindows)
          */
         closeAll() {
-            modals.forEach(modal => modal.hide(false));
+            stack.slice().reverse().forEach(entry => entry.instance.hide(false));
+        },
+
+        /**
+         * Close all open non-modal windows
+         */
+        closeAllWindows() {
+            windows.slice().reverse().forEach(entry => entry.instance.hide(false));
         },
 
         /**
@@ -723,15 +6105,24 @@
          * @returns {number}
          */
         getOpenCount() {
-            return modals.size;
+            return stack.length;
         },
 
         /**
-         * Get all open modal instances
+         * Get all open modal instances in stack order, topmost last
          * @returns {Array}
          */
         getAll() {
-            return Array.from(modals);
+            return stack.map(entry => entry.instance);
+        },
+
+        /**
+         * Get the topmost open modal instance
+         * @returns {Object|null}
+         */
+        getTop() {
+            const top = getTopEntry();
+            return top ? top.instance : null;
         },
 
         /**
@@ -741,11 +6132,244 @@
          * @returns {Promise<string|null>}
          */
         prompt: promptModal,
+
+        /**
+         * Show a confirm modal with OK and Cancel buttons
+         * @param {string|HTMLElement} message
+         * @param {Object} options
+         * @returns {Promise<boolean>}
+         */
+        confirm: confirmModal,
+
+        /**
+         * Show an alert modal with a single OK button
+         * @param {string|HTMLElement} message
+         * @param {Object} options
+         * @returns {Promise<void>}
+         */
+        alert: alertModal,
+
+        /**
+         * Show a form modal built from field descriptors
+         * @param {Object[]} fields
+         * @param {Object} options
+         * @returns {Promise<Object|null>}
+         */
+        form: formModal,
+
+        /**
+         * Show a progress modal
+         * @param {Object} options
+         * @returns {Object} Progress handle
+         */
+        progress: progressModal,
+
+        /**
+         * Open a non-modal, draggable and resizable window
+         * @param {string|HTMLElement} content
+         * @param {Object} options
+         * @returns {Object} Window instance
+         */
+        window: windowModal,
+
+        /**
+         * Open a modal whenever the URL matches a hash or query parameter
+         * @param {string} pattern - '#/name' or '?param=value'
+         * @param {Function} factory - (url) => modal instance
+         * @returns {Function} Removes the route
+         */
+        route: routeModal,
+
+        /**
+         * Register <ojstl-modal> and bind the data-ojstl-open and data-ojstl-close triggers
+         */
+        defineElement,
+
+        /**
+         * Bind the data-ojstl-open and data-ojstl-close triggers only
+         */
+        bindTriggers,
+
+        /**
+         * Change global settings
+         * @param {Object} options
+         *   options.container: Element or selector to mount modals and toasts into (default document.body)
+         *   options.nonce: CSP nonce for injected <style> elements
+         *   options.constructableStyles: Use adoptedStyleSheets instead of a <style> element
+         *   options.contentMode: Default for how string content is inserted: 'html', 'text' or 'sanitize'
+         *   options.allowedTags: Tags kept by the sanitizer
+         *   options.allowedAttributes: Attributes kept by the sanitizer; 'data-*' style entries match a prefix
+         *   options.trustedTypesPolicy: Trusted Types policy used for 'html' content
+         */
+        configure(options = {}) {
+            Object.keys(options).forEach(key => {
+                if (config.hasOwnProperty(key)) {
+                    config[key] = options[key];
+                } else {
+                    console.warn(`Unknown modal setting "${key}"`);
+                }
+            });
+        },
+
+        /**
+         * Sanitize HTML with the built-in allowlist sanitizer
+         * @param {string} html
+         * @returns {string} Sanitized HTML
+         */
+        sanitize(html) {
+            assertDOM('modal.sanitize');
+            const container = document.createElement('div');
+            container.appendChild(sanitizeHTML(html));
+            return container.innerHTML;
+        },
+
+        /**
+         * Register or replace a theme
+         * @param {string} name - Theme name, used as the theme option
+         * @param {Object} tokens - Custom property values, e.g. { bg, text, overlayBg, accent, focusRing, danger }
+         * @param {string} base - Theme providing any tokens left out (default 'light')
+         */
+        registerTheme(name, tokens = {}, base = 'light') {
+            if (typeof name !== 'string' || !name || name === 'auto') {
+                console.warn('Theme name must be a non-empty string other than "auto"');
+                return;
+            }
+            if (!themes.hasOwnProperty(base)) {
+                console.warn(`Unknown base theme "${base}", using "light"`);
+                base = 'light';
+            }
+            themes[name] = { ...themes[base], ...normalizeThemeTokens(tokens) };
+        },
+
+        /**
+         * Set the theme used when none is given
+         * @param {string} name - Registered theme name or 'auto'
+         */
+        setDefaultTheme(name) {
+            if (name !== 'auto' && !themes.hasOwnProperty(name)) {
+                console.warn(`Unknown theme "${name}", keeping "${defaultTheme}"`);
+                return;
+            }
+            defaultTheme = name;
+        },
+
+        /**
+         * Register or replace a locale
+         * @param {string} name - Locale name, used as the locale option, e.g. 'ar' or 'he-IL'
+         * @param {Object} strings - Built-in strings, e.g. { close, closeLabel, ok, cancel }, plus an optional dir
+         * @param {string} base - Locale providing any strings left out (default 'en')
+         */
+        registerLocale(name, strings = {}, base = 'en') {
+            if (typeof name !== 'string' || !name) {
+                console.warn('Locale name must be a non-empty string');
+                return;
+            }
+            if (!locales.hasOwnProperty(base)) {
+                console.warn(`Unknown base locale "${base}", using "en"`);
+                base = 'en';
+            }
+            const entry = { ...locales[base], ...strings };
+            if (!strings.dir) {
+                // Infer the direction from the language, never from the base locale
+                delete entry.dir;
+                if (RTL_LANGUAGES.includes(name.toLowerCase().split(/[-_]/)[0])) {
+                    entry.dir = 'rtl';
+                }
+            }
+            locales[name] = entry;
+        },
+
+        /**
+         * Set the locale used when none is given
+         * @param {string} name - Registered locale name
+         */
+        setLocale(name) {
+            if (!locales.hasOwnProperty(name)) {
+                console.warn(`Unknown locale "${name}", keeping "${defaultLocale}"`);
+                return;
+            }
+            defaultLocale = name;
+        },
     };
 
-    window.delta = delta;
+    const toast = {
+        /**
+         * Show a toast notification
+         * @param {string|HTMLElement} message - Toast content
+         * @param {Object} options - Toast options
+         * @returns {Object} Toast instance
+         */
+        show(message, options = {}) {
+            return buildToast(message, normalizeToastOptions(options));
+        },
+
+        /**
+         * Show an info toast
+         * @param {string|HTMLElement} message
+         * @param {Object} options
+         * @returns {Object} Toast instance
+         */
+        info(message, options = {}) {
+            return buildToast(message, normalizeToastOptions({ ...options, type: 'info' }));
+        },
+
+        /**
+         * Show a success toast
+         * @param {string|HTMLElement} message
+         * @param {Object} options
+         * @returns {Object} Toast instance
+         */
+        success(message, options = {}) {
+            return buildToast(message, normalizeToastOptions({ ...options, type: 'success' }));
+        },
+
+        /**
+         * Show a warning toast
+         * @param {string|HTMLElement} message
+         * @param {Object} options
+         * @returns {Object} Toast instance
+         */
+        warning(message, options = {}) {
+            return buildToast(message, normalizeToastOptions({ ...options, type: 'warning' }));
+        },
+
+        /**
+         * Show an error toast
+         * @param {string|HTMLElement} message
+         * @param {Object} options
+         * @returns {Object} Toast instance
+         */
+        error(message, options = {}) {
+            return buildToast(message, normalizeToastOptions({ ...options, type: 'error' }));
+        },
+
+        /**
+         * Dismiss all open toasts
+         */
+        dismissAll() {
+            toasts.slice().forEach(t => t.dismiss());
+        },
+
+        /**
+         * Get all open toast instances, oldest first
+         * @returns {Array}
+         */
+        getAll() {
+            return toasts.slice();
+        },
 
-    window.wait = wait;
+        /**
+         * Change the default options for later toasts
+         * @param {Object} options - Toast options
+         */
+        configure(options = {}) {
+            const raw = { ...toastDefaults, ...options };
+            const opts = normalizeToastOptions(options);
+            delete opts.strings;
+            TOAST_DEFERRED_OPTIONS.forEach(key => { opts[key] = raw[key]; });
+            toastDefaults = opts;
+        },
+    };
 
-    window.ir = ir;
-})();
+    return { modal, toast, delta, wait, schedule, tween, ir };
+});
@@ -0,0 +1,16 @@
+/**
+ * Obdotgit's JavaScript Tool Library v1.0.2 — ES module entry
+ *
+ * Re-exports the CommonJS build as named exports, so both module systems share one instance:
+ * import { modal, toast, delta, wait, schedule, tween, ir } from 'ojstl';
+ *
+ * Needs Node or a bundler that handles CommonJS; browsers can't import it directly, as
+ * OJSTL-v1-0-2.js has no ES exports. Use the <script> build there.
+ *
+ * License: https://creativecommons.org/publicdomain/zero/1.0/
+**/
+import ojstl from './OJSTL-v1-0-2.js';
+
+export const { modal, toast, delta, wait, schedule, tween, ir } = ojstl;
+
+export default ojstl;